@@ -0,0 +1,232 @@
+// DCC Custom Class Sheet — public API for macros and other modules
+// Published as game.modules.get("dcc-custom-class-sheet").api once the module initializes.
+// Every function accepts documents or their ids, so macros can stay short:
+//
+//   const api = game.modules.get("dcc-custom-class-sheet").api;
+//   const folder = await api.createClass({ name: "Barbarian", skills: [{ name: "Rage", weight: 10 }] });
+//   await api.applyClass(actor, folder);
+//   api.getClasses(actor);                      // [{ className, icon, naming, skills }]
+//   await api.removeClass(actor, "Barbarian");    // kept as a snapshot: api.getRemovedClasses(actor)
+//   await api.rest(actor);                         // refill daily uses and resource pools
+//
+// Hooks (all fired with Hooks.callAll, so they cannot be cancelled):
+//   dcccs.classCreated (folder, definition)
+//   dcccs.classApplied (actor, { className, folder, items })
+//   dcccs.classRemoved (actor, { className, items })  — `items` is the data of the deleted items
+//   dcccs.classRestored (actor, { className, items })
+//   dcccs.rest (actor)
+//
+// Dependencies: class-definition.js (create/apply), class-removal.js (remove/restore),
+//               utils.js (grouping), resources.js (rest), class-builder.js
+
+import { MODULE_ID } from "./init.js";
+import {
+  CLASS_DEFINITION_TYPE,
+  CLASS_SCHEMA_VERSION,
+  applyClassFolder,
+  classDefinitionFromFolder,
+  classDefinitionFromItems,
+  createClassFromDefinition,
+  validateClassDefinition,
+} from "./class-definition.js";
+import {
+  changeActorClass,
+  getRemovedClasses,
+  removeClassFromActor,
+  restoreRemovedClass,
+} from "./class-removal.js";
+import { getCustomClassIcon, getItemClassData, getNamingItems, groupActorSkills } from "./utils.js";
+import { CustomClassBuilder } from "./class-builder.js";
+import { restActor } from "./resources.js";
+
+/**
+ * Resolve an actor from a document, id or uuid.
+ * @param {Actor|string} actor
+ * @returns {Actor}
+ * @throws {Error} when no actor matches
+ */
+function resolveActor(actor) {
+  const resolved = typeof actor === "string"
+    ? game.actors.get(actor) ?? fromUuidSync(actor)
+    : actor;
+  if (!(resolved instanceof Actor)) throw new Error(`[${MODULE_ID}] No actor found for "${actor}"`);
+  return resolved;
+}
+
+/**
+ * Resolve a world Item folder from a document, id or name.
+ * @param {Folder|string} folder
+ * @returns {Folder}
+ * @throws {Error} when no Item folder matches
+ */
+function resolveFolder(folder) {
+  const resolved = typeof folder === "string"
+    ? game.folders.get(folder) ?? game.folders.find((f) => f.type === "Item" && f.name === folder)
+    : folder;
+  if (!(resolved instanceof Folder) || resolved.type !== "Item") {
+    throw new Error(`[${MODULE_ID}] No Item folder found for "${folder?.name ?? folder}"`);
+  }
+  return resolved;
+}
+
+/**
+ * Create a class as a world Item folder.
+ * `type` and `schemaVersion` may be left out; everything else follows the class definition format
+ * (see class-definition.js) and is validated first.
+ * @param {object} definition
+ * @param {object} [options]
+ * @param {Folder|string|null} [options.parentFolder] - Folder to create the class folder in
+ * @returns {Promise<Folder>}
+ * @throws {Error} when the definition is invalid
+ */
+async function createClass(definition, { parentFolder = null } = {}) {
+  const normalized = validateClassDefinition({
+    type: CLASS_DEFINITION_TYPE,
+    schemaVersion: CLASS_SCHEMA_VERSION,
+    ...definition
+  });
+  const parent = parentFolder ? resolveFolder(parentFolder).id : null;
+  return createClassFromDefinition(normalized, { parentFolder: parent });
+}
+
+/**
+ * Copy a world class folder onto an actor.
+ * @param {Actor|string} actor
+ * @param {Folder|string} folder - Folder document, id or name
+ * @returns {Promise<Item[]>} the created items
+ */
+async function applyClass(actor, folder) {
+  return applyClassFolder(resolveActor(actor), resolveFolder(folder));
+}
+
+/**
+ * Remove a class (naming item and skills) from an actor.
+ * @param {Actor|string} actor
+ * @param {string} className
+ * @param {object} [options]
+ * @param {boolean} [options.snapshot=true] - Keep the removed items so the class can be restored
+ * @returns {Promise<object[]>} data of the deleted items; empty if the actor does not have the class
+ */
+async function removeClass(actor, className, { snapshot = true } = {}) {
+  return removeClassFromActor(resolveActor(actor), className, { snapshot });
+}
+
+/**
+ * Replace one of an actor's classes with a world class folder; the old class is kept as a snapshot.
+ * @param {Actor|string} actor
+ * @param {string} className - Class to replace
+ * @param {Folder|string} folder - Folder document, id or name of the new class
+ * @returns {Promise<Item[]>} the created items
+ */
+async function changeClass(actor, className, folder) {
+  return changeActorClass(resolveActor(actor), className, resolveFolder(folder));
+}
+
+/**
+ * Restore a removed class from its snapshot (see getRemovedClasses), replacing any current copy.
+ * @param {Actor|string} actor
+ * @param {string} snapshotId
+ * @returns {Promise<Item[]>} the created items; empty if there is no such snapshot
+ */
+async function restoreClass(actor, snapshotId) {
+  return restoreRemovedClass(resolveActor(actor), snapshotId);
+}
+
+/**
+ * Rest an actor: every daily use of its class skills and every resource pool is full again.
+ * @param {Actor|string} actor
+ * @returns {Promise<number>} how many items were reset
+ */
+async function rest(actor) {
+  return restActor(resolveActor(actor));
+}
+
+/**
+ * The classes an actor carries, in tab order: classes with a naming item first, then classes
+ * that only have skills.
+ * @param {Actor|string} actor
+ * @returns {Array<{ className: string, icon: string|null, naming: Item|null,
+ *   skills: Array<{ item: Item, parsed: object, lock: object|null }> }>}
+ */
+function getClasses(actor) {
+  actor = resolveActor(actor);
+  const { grouped } = groupActorSkills(actor);
+  const classes = getNamingItems(actor).map((naming) => {
+    const { className } = getItemClassData(naming);
+    return { className, icon: getCustomClassIcon(actor, naming), naming, skills: grouped[className] ?? [] };
+  });
+  for (const [className, skills] of Object.entries(grouped)) {
+    if (classes.some((c) => c.className === className)) continue;
+    classes.push({ className, icon: null, naming: null, skills });
+  }
+  return classes;
+}
+
+/**
+ * An actor's skills as the Custom Class tab groups them (see utils.js groupActorSkills).
+ * @param {Actor|string} actor
+ * @returns {{ grouped: object, occupational: Item[] }}
+ */
+function getGroupedSkills(actor) {
+  return groupActorSkills(resolveActor(actor));
+}
+
+/**
+ * Read a class definition from a world class folder, or from an actor's items.
+ * @param {Folder|Actor|string} source - Folder (document, id or name) or actor (document, id or uuid)
+ * @param {string} [className] - Class to read; required to pick one class of a multi-class actor
+ * @returns {object|null}
+ */
+function getClassDefinition(source, className) {
+  if (source instanceof Actor) return classDefinitionFromItems(source.items, { className });
+  const isItemFolder = typeof source === "string"
+    && (game.folders.get(source)?.type === "Item" || game.folders.some((f) => f.type === "Item" && f.name === source));
+  if (source instanceof Folder || isItemFolder) {
+    return classDefinitionFromFolder(resolveFolder(source), { className });
+  }
+  return classDefinitionFromItems(resolveActor(source).items, { className });
+}
+
+/**
+ * Open the class builder.
+ * @param {object} [options]
+ * @param {Actor|string} [options.actor] - Actor to offer the new class to, or whose class to edit
+ * @param {string} [options.className] - With `actor`: edit this class of the actor
+ * @param {Folder|string} [options.folder] - Edit the class in this world folder
+ * @param {object} [options.definition] - Pre-fill a new class from a definition
+ * @returns {CustomClassBuilder}
+ */
+function openBuilder({ actor = null, className = null, folder = null, definition = null } = {}) {
+  actor = actor ? resolveActor(actor) : null;
+  let builder;
+  if (folder) builder = CustomClassBuilder.editFolder(resolveFolder(folder));
+  else if (actor && className) builder = CustomClassBuilder.editActorClass(actor, className);
+  else {
+    builder = new CustomClassBuilder(actor);
+    if (definition) {
+      builder.loadDefinition(validateClassDefinition({
+        type: CLASS_DEFINITION_TYPE,
+        schemaVersion: CLASS_SCHEMA_VERSION,
+        ...definition
+      }));
+    }
+  }
+  builder.render(true);
+  return builder;
+}
+
+Hooks.once("init", () => {
+  game.modules.get(MODULE_ID).api = {
+    createClass,
+    applyClass,
+    removeClass,
+    changeClass,
+    restoreClass,
+    rest,
+    getRemovedClasses: (actor) => getRemovedClasses(resolveActor(actor)),
+    getClasses,
+    getGroupedSkills,
+    getClassDefinition,
+    openBuilder
+  };
+});
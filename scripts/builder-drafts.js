@@ -0,0 +1,95 @@
+// DCC Custom Class Sheet — class builder drafts
+// The builder autosaves its state as a draft in the current user's
+// flags["dcc-custom-class-sheet"].builderDrafts (by draft id, at most MAX_DRAFTS), so closing the
+// window by accident loses nothing. A draft is removed once its class is created or saved.
+// Drafts of class edits also remember where the class lives (by uuid).
+//
+// Dependencies: none besides init.js
+
+import { MODULE_ID } from "./init.js";
+
+/** Number of drafts kept per user; the oldest are dropped */
+export const MAX_DRAFTS = 10;
+
+/**
+ * The current user's builder drafts, newest first.
+ * @returns {Array<{ id: string, savedAt: number, className: string, skillCount: number, edit: object|null,
+ *   state: object }>}
+ */
+export function getBuilderDrafts() {
+  const drafts = game.user.getFlag(MODULE_ID, "builderDrafts") ?? {};
+  return Object.values(drafts)
+    .filter((d) => d?.id && d.state)
+    .sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/**
+ * Store a draft, replacing an older save of the same draft.
+ * @param {object} draft - See getBuilderDrafts; `savedAt` is set here
+ * @returns {Promise<User>}
+ */
+export function saveBuilderDraft(draft) {
+  const drafts = [{ ...draft, savedAt: Date.now() }, ...getBuilderDrafts().filter((d) => d.id !== draft.id)];
+  const dropped = drafts.splice(MAX_DRAFTS).map((d) => `-=${d.id}`);
+  const update = Object.fromEntries(drafts.map((d) => [d.id, d]));
+  for (const key of dropped) update[key] = null;
+  return game.user.setFlag(MODULE_ID, "builderDrafts", update);
+}
+
+/**
+ * Delete a draft.
+ * @param {string} draftId
+ * @returns {Promise<User>|undefined}
+ */
+export function deleteBuilderDraft(draftId) {
+  if (!getBuilderDrafts().some((d) => d.id === draftId)) return;
+  return game.user.update({ [`flags.${MODULE_ID}.builderDrafts.-=${draftId}`]: null });
+}
+
+/**
+ * Ask whether to resume one of the user's drafts. Discarding a draft asks again.
+ * @returns {Promise<object|null>} the draft to resume, or null to start a new class
+ */
+export async function promptResumeDraft() {
+  const { DialogV2 } = foundry.applications.api;
+  let drafts = getBuilderDrafts();
+  while (drafts.length) {
+    const entries = drafts.map((draft, index) => {
+      const label = game.i18n.format(draft.edit ? "DCCCS.Drafts.EditEntry" : "DCCCS.Drafts.Entry", {
+        className: foundry.utils.escapeHTML(draft.className || game.i18n.localize("DCCCS.Drafts.Untitled")),
+        count: draft.skillCount,
+        date: new Date(draft.savedAt).toLocaleString(game.i18n.lang)
+      });
+      return `<label class="draft-entry"><input type="radio" name="draftId" value="${draft.id}" ${index ? "" : "checked"} /> ${label}</label>`;
+    }).join("");
+
+    const choice = await DialogV2.wait({
+      window: { title: "DCCCS.Drafts.Title", icon: "fa-solid fa-floppy-disk" },
+      classes: ["dcc-builder-drafts"],
+      content: `<p>${game.i18n.localize("DCCCS.Drafts.Hint")}</p><div class="draft-list">${entries}</div>`,
+      buttons: [
+        {
+          action: "resume",
+          label: "DCCCS.Drafts.Resume",
+          icon: "fa-solid fa-play",
+          default: true,
+          callback: (event, button) => ({ action: "resume", id: button.form.elements.draftId.value })
+        },
+        {
+          action: "discard",
+          label: "DCCCS.Drafts.Discard",
+          icon: "fa-solid fa-trash",
+          callback: (event, button) => ({ action: "discard", id: button.form.elements.draftId.value })
+        },
+        { action: "new", label: "DCCCS.Drafts.New", icon: "fa-solid fa-plus", callback: () => ({ action: "new" }) }
+      ],
+      rejectClose: false
+    });
+
+    if (!choice || choice.action === "new") return null;
+    if (choice.action === "resume") return drafts.find((d) => d.id === choice.id) ?? null;
+    await deleteBuilderDraft(choice.id);
+    drafts = getBuilderDrafts();
+  }
+  return null;
+}
@@ -1,29 +1,393 @@
 // DCC Custom Class Sheet — Class Builder Dialog (V2 API)
-// Provides a 3-step wizard for creating custom classes
+// Provides a step-by-step wizard for creating custom classes
 
 import { MODULE_ID } from "./init.js";
-import { parseCustomClassIcon } from "./utils.js";
+import { iconDisplayClass, parseCustomClassIcon } from "./utils.js";
+import { getDefaultIcon } from "./settings.js";
+import {
+  CLASS_DEFINITION_TYPE,
+  CLASS_SCHEMA_VERSION,
+  DEFAULT_SKILL_CONFIG,
+  DEFAULT_ITEM_IMG,
+  DEFAULT_SKILL_DIE,
+  DICE_CHAIN,
+  PASSIVE_SKILL_CONFIG,
+  SKILL_ABILITIES,
+  applyClassFolder,
+  classDefinitionFromItems,
+  createClassFromDefinition,
+  findClassItems,
+  importClassDefinitionFile,
+  normalizeDie,
+  parseSkillRows,
+  stepDiceChain,
+} from "./class-definition.js";
+import {
+  PROGRESSION_FIELDS,
+  emptyProgressionTable,
+  normalizeProgression,
+  validateProgression,
+} from "./progression.js";
+import {
+  applyClassChanges,
+  diffClassDefinitions,
+  findActorsWithClass,
+  promptApplyClassChanges,
+  saveClassInPlace,
+} from "./class-sync.js";
+import { deleteBuilderDraft, promptResumeDraft, saveBuilderDraft } from "./builder-drafts.js";
+import { IconPicker, checkIconClass } from "./icon-picker.js";
+import { OVERVIEW_FIELDS, normalizeOverview } from "./class-overview.js";
+import { EFFECT_TARGETS, featureEffectSummary, normalizeFeatureEffect } from "./features.js";
+import { isValidMax, normalizeResources, normalizeUses, resourceId } from "./resources.js";
+import { formatTableResults, normalizeSkillTable, parseTableResults } from "./skill-tables.js";
+import { equipmentFromItem, normalizeEquipment } from "./equipment.js";
 
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
+/** Wizard steps in order; `this.step` is the 1-based position in this list */
+const STEPS = [
+  { id: "basics", label: "DCCCS.Builder.Step1" },
+  { id: "skills", label: "DCCCS.Builder.Step2" },
+  { id: "progression", label: "DCCCS.Builder.StepProgression" },
+  { id: "equipment", label: "DCCCS.Builder.StepEquipment" },
+  { id: "preview", label: "DCCCS.Builder.Step3" }
+];
+
+/** Step 2 undo steps kept */
+const MAX_HISTORY = 50;
+
+/** The system.config switches offered per skill in step 2, in display order */
+const SKILL_CONFIG_KEYS = ["useDie", "useAbility", "useValue", "useLevel", "showLastResult", "useSummary"];
+
 /**
- * Three-step wizard for creating custom classes:
+ * Whether a skill config is the passive preset: nothing is rolled or added.
+ * @param {object} config
+ * @returns {boolean}
+ */
+function isPassiveConfig(config) {
+  return ["useDie", "useAbility", "useValue", "useLevel"].every(key => !config[key]);
+}
+
+/**
+ * The die, value and last result cells of a skill as the Custom Class tab row
+ * (templates/custom-class.html) would show them, for the preview step.
+ * @param {object} skill - Builder skill entry
+ * @returns {{ die: string, field: string, lastResult: string, passive: boolean }}
+ */
+function skillRowPreview(skill) {
+  const { config } = skill;
+  const ability = skill.ability
+    ? game.i18n.localize(`DCC.Ability${skill.ability.charAt(0).toUpperCase()}${skill.ability.slice(1)}Short`)
+    : "";
+  const number = Number(skill.value);
+  const value = skill.value === "" || skill.value === null || skill.value === undefined ? ""
+    : Number.isFinite(number) ? `${number >= 0 ? "+" : ""}${number}` : String(skill.value);
+
+  let field = "--";
+  if (config.useValue) field = [ability, value].filter(Boolean).join(" ") || (config.useLevel ? "" : "--");
+  if (config.useLevel) field = `${field} ${game.i18n.localize("DCCCS.Builder.PlusLevel")}`.trim();
+
+  return {
+    die: config.useDie && skill.die ? skill.die : "--",
+    field,
+    lastResult: config.showLastResult ? "" : "--",
+    passive: isPassiveConfig(config)
+  };
+}
+
+/**
+ * The step 1 note on whether the class icon is a FontAwesome Free icon that renders.
+ * @param {string} iconClass
+ * @returns {Promise<{ level: string, text: string }|null>} null when there is nothing to say
+ */
+async function iconStatusNote(iconClass) {
+  if (!iconClass) return null;
+  const { valid, known, renders } = await checkIconClass(iconClass);
+  if (!valid) return { level: "error", text: game.i18n.localize("DCCCS.Builder.IconInvalid") };
+  if (known === false) return { level: "error", text: game.i18n.localize("DCCCS.Builder.IconUnknown") };
+  if (renders === false) return { level: "warning", text: game.i18n.localize("DCCCS.Builder.IconNoRender") };
+  return null;
+}
+
+/**
+ * Multi-step wizard for creating custom classes:
  * 1. Basics: Class name + icon
  * 2. Skills: Add/edit/remove skills
- * 3. Preview: Review before creation
+ * 3. Progression: Optional level 1-10 table
+ * 4. Equipment: Optional starting kit dropped from the sidebar or compendiums
+ * 5. Preview: Review before creation
+ *
+ * Opened through editFolder() or editActorClass(), the wizard edits an existing class instead
+ * and saves it in place (see class-sync.js).
+ *
+ * The wizard state is autosaved as a draft (see builder-drafts.js) until the class is created or
+ * saved; launch() offers to resume one.
  */
 export class CustomClassBuilder extends HandlebarsApplicationMixin(ApplicationV2) {
-  constructor(actor, options = {}) {
+  constructor(actor, { parentFolder = null, ...options } = {}) {
     super(options);
     this.actor = actor;
     
     // State management
-    this.step = 1; // Current wizard step (1-3)
+    this.step = 1; // Current wizard step (1-based index into STEPS)
     this.className = "";
     this.iconClass = "fa-circle-exclamation"; // Default icon
-    this.skills = []; // Array of {id, name, description, weight}
-    this.parentFolder = null; // Optional parent folder
+    this.classDescription = null; // Naming item lore; null = builder default
+    this.classImg = null; // Naming item image; null = default item image
+    this.skillImg = null; // Image of skills without their own; null = default item image
+    this.overview = normalizeOverview(); // Class overview fields (hit die, alignment, ...)
+    this.overviewOpen = false; // Step 1 overview panel open
+    this.resources = []; // Class resource pools: {id, name, max, fresh}; fresh ids follow the name
+    this.skills = []; // Array of {id, name, description, img, weight, minLevel, maxLevel, ability, die, value, config}
+    this.parentFolder = parentFolder; // Optional parent folder
     this.nextSkillId = 1; // For temporary IDs before creation
+    this.progression = emptyProgressionTable(); // One row per level, blank cells are ignored
+    this.equipment = []; // Starting kit entries (see equipment.js normalizeEquipment)
+
+    // Step 2 bulk entry panel
+    this.bulkOpen = false;
+    this.bulkText = "";
+    this.bulkResult = null; // Result of parseSkillRows, shown as a preview
+
+    // Step 2 skills whose roll options panel is open, by temporary id
+    this.openSkillOptions = new Set();
+
+    // Step 2 undo/redo: snapshots of this.skills
+    this.undoStack = [];
+    this.redoStack = [];
+    this._fieldSnapshot = null; // Skills before the step 2 field being typed in was focused
+
+    // Set when editing an existing class: { folder, parent, namingId, definition }
+    this.editSource = null;
+
+    // Draft autosave; set `draftDone` once the draft must no longer be written
+    this.draftId = foundry.utils.randomID();
+    this.draftDone = false;
+    this._draftSave = null; // Pending draft write, so writes never overtake each other
+    this._scheduleDraftSave = foundry.utils.debounce(() => this.saveDraft(), 1000);
+  }
+
+  /**
+   * Open a builder for a new class, first offering to resume one of the user's drafts.
+   * @param {Actor|null} actor - Actor the builder is opened from
+   * @param {object} [options] - Constructor options for a new builder
+   * @returns {Promise<CustomClassBuilder>}
+   */
+  static async launch(actor, options = {}) {
+    const draft = await promptResumeDraft();
+    const builder = (draft && this.fromDraft(draft, actor)) || new this(actor, options);
+    builder.render(true);
+    return builder;
+  }
+
+  /**
+   * Rebuild a builder from a saved draft. A draft of a class edit whose folder or actor is gone
+   * is resumed as a new class.
+   * @param {object} draft - See builder-drafts.js
+   * @param {Actor|null} actor - Actor the builder is opened from
+   * @returns {CustomClassBuilder}
+   */
+  static fromDraft(draft, actor) {
+    const builder = new this(actor);
+    builder.draftId = draft.id;
+    if (draft.edit) {
+      const folder = draft.edit.folderUuid ? fromUuidSync(draft.edit.folderUuid) : null;
+      const parent = draft.edit.parentUuid ? fromUuidSync(draft.edit.parentUuid) : null;
+      if (folder || parent) {
+        builder.editSource = { folder, parent, namingId: draft.edit.namingId, definition: draft.edit.definition };
+        builder.actor = parent ?? actor;
+      } else {
+        ui.notifications.warn(game.i18n.format("DCCCS.Drafts.SourceGone", { className: draft.edit.definition.name }));
+      }
+    }
+    builder.loadState(draft.state);
+    return builder;
+  }
+
+  /**
+   * Open the builder on the class stored in a world Item folder.
+   * @param {Folder} folder
+   * @returns {CustomClassBuilder}
+   */
+  static editFolder(folder) {
+    const items = game.items.filter(i => i.folder?.id === folder.id);
+    const found = findClassItems(items) ?? findClassItems(items, { className: folder.name });
+    return this._forEdit(null, items, found, { folder, parent: null });
+  }
+
+  /**
+   * Open the builder on one class carried by an actor.
+   * @param {Actor} actor
+   * @param {string} className - Class prefix of the skills to edit
+   * @returns {CustomClassBuilder}
+   */
+  static editActorClass(actor, className) {
+    const found = findClassItems(actor.items, { className });
+    return this._forEdit(actor, actor.items, found, { folder: null, parent: actor });
+  }
+
+  /**
+   * Load an existing class into a new builder, remembering where it came from.
+   * @param {Actor|null} actor - Actor the builder was opened from
+   * @param {Iterable<Item>} items - Items holding the class
+   * @param {object} found - Result of findClassItems
+   * @param {{ folder: Folder|null, parent: Actor|null }} source
+   * @returns {CustomClassBuilder}
+   */
+  static _forEdit(actor, items, found, source) {
+    const definition = classDefinitionFromItems(items, { className: found.name, withSourceIds: true });
+    const builder = new this(actor);
+    builder.editSource = { ...source, namingId: found.naming?.id ?? null, definition };
+    builder.loadDefinition(definition);
+    builder.step = 1;
+    return builder;
+  }
+
+  /**
+   * Snapshot the wizard state for a draft.
+   * @returns {object}
+   */
+  serializeState() {
+    return foundry.utils.deepClone({
+      step: this.step,
+      className: this.className,
+      iconClass: this.iconClass,
+      classDescription: this.classDescription,
+      classImg: this.classImg,
+      skillImg: this.skillImg,
+      overview: this.overview,
+      resources: this.resources,
+      skills: this.skills,
+      nextSkillId: this.nextSkillId,
+      progression: this.progression,
+      equipment: this.equipment,
+      parentFolder: this.parentFolder,
+      bulkText: this.bulkText
+    });
+  }
+
+  /**
+   * Replace the wizard state with a serializeState() snapshot.
+   * @param {object} state
+   */
+  loadState(state) {
+    state = foundry.utils.deepClone(state);
+    this.step = Math.clamp(state.step ?? 1, 1, STEPS.length);
+    this.className = state.className ?? "";
+    this.iconClass = state.iconClass || null;
+    this.classDescription = state.classDescription ?? null;
+    this.classImg = state.classImg ?? null;
+    this.skillImg = state.skillImg ?? null;
+    this.overview = normalizeOverview(state.overview);
+    this.resources = Array.isArray(state.resources) ? state.resources : [];
+    this.skills = (state.skills ?? []).map(s => ({ ...s, config: { ...DEFAULT_SKILL_CONFIG, ...s.config } }));
+    this.nextSkillId = Math.max(state.nextSkillId ?? 1, ...this.skills.map(s => s.id + 1));
+    if (Array.isArray(state.progression)) this.progression = state.progression;
+    this.equipment = normalizeEquipment(state.equipment);
+    this.parentFolder = state.parentFolder ?? null;
+    this.bulkText = state.bulkText ?? "";
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Whether the wizard holds anything worth a draft: a started class, or a changed class edit.
+   * @returns {boolean}
+   */
+  _hasDraftContent() {
+    if (this.editSource) return diffClassDefinitions(this.editSource.definition, this.toDefinition()).hasChanges;
+    return !!(this.className.trim() || this.skills.length);
+  }
+
+  /**
+   * Write the wizard state to the user's drafts; an emptied wizard drops its draft instead.
+   * @returns {Promise<void>}
+   */
+  saveDraft() {
+    if (this.draftDone) return this._draftSave;
+    this._draftSave = this._writeDraft();
+    return this._draftSave;
+  }
+
+  /** @see saveDraft */
+  async _writeDraft() {
+    await this._draftSave;
+    if (this.draftDone) return;
+    try {
+      if (!this._hasDraftContent()) {
+        await deleteBuilderDraft(this.draftId);
+        return;
+      }
+      const { folder, parent, namingId, definition } = this.editSource ?? {};
+      await saveBuilderDraft({
+        id: this.draftId,
+        className: this.className.trim(),
+        skillCount: this.skills.length,
+        edit: this.editSource
+          ? { folderUuid: folder?.uuid ?? null, parentUuid: parent?.uuid ?? null, namingId, definition }
+          : null,
+        state: this.serializeState()
+      });
+    } catch (error) {
+      console.error(`[${MODULE_ID}] Error saving builder draft:`, error);
+    }
+  }
+
+  /**
+   * Stop autosaving and forget the draft, once the class is created or saved.
+   * @returns {Promise<void>}
+   */
+  async _discardDraft() {
+    this.draftDone = true;
+    await this._draftSave;
+    await deleteBuilderDraft(this.draftId);
+  }
+
+  /** @inheritdoc */
+  _onClose(options) {
+    super._onClose(options);
+    this.saveDraft();
+  }
+
+  /**
+   * Remember the current skills for undo, before a step 2 change.
+   * @param {object[]} [snapshot] - Skills as they were before the change; defaults to the current skills
+   */
+  _recordHistory(snapshot = foundry.utils.deepClone(this.skills)) {
+    this.undoStack.push(snapshot);
+    if (this.undoStack.length > MAX_HISTORY) this.undoStack.shift();
+    this.redoStack = [];
+  }
+
+  /** Enable the step 2 undo/redo buttons to match the history, without a re-render. */
+  _syncHistoryButtons() {
+    const undo = this.element.querySelector("[data-action='undo']");
+    const redo = this.element.querySelector("[data-action='redo']");
+    if (undo) undo.disabled = !this.undoStack.length;
+    if (redo) redo.disabled = !this.redoStack.length;
+  }
+
+  async _undo(event, target) {
+    if (!this.undoStack.length) return;
+    this.redoStack.push(foundry.utils.deepClone(this.skills));
+    this.skills = this.undoStack.pop();
+    this._fieldSnapshot = null;
+    this.render(false);
+  }
+
+  async _redo(event, target) {
+    if (!this.redoStack.length) return;
+    this.undoStack.push(foundry.utils.deepClone(this.skills));
+    this.skills = this.redoStack.pop();
+    this._fieldSnapshot = null;
+    this.render(false);
+  }
+
+  /** @inheritdoc */
+  get title() {
+    if (!this.editSource) return super.title;
+    return game.i18n.format("DCCCS.Builder.EditTitle", { className: this.editSource.definition.name });
   }
 
   static DEFAULT_OPTIONS = {
@@ -42,10 +406,29 @@ export class CustomClassBuilder extends HandlebarsApplicationMixin(ApplicationV2
       nextStep: CustomClassBuilder.prototype._nextStep,
       prevStep: CustomClassBuilder.prototype._prevStep,
       createClass: CustomClassBuilder.prototype._createClass,
+      saveClass: CustomClassBuilder.prototype._saveClass,
       addSkill: CustomClassBuilder.prototype._addSkill,
       removeSkill: CustomClassBuilder.prototype._removeSkill,
       moveSkillUp: CustomClassBuilder.prototype._moveSkillUp,
-      moveSkillDown: CustomClassBuilder.prototype._moveSkillDown
+      moveSkillDown: CustomClassBuilder.prototype._moveSkillDown,
+      dieUp: CustomClassBuilder.prototype._dieUp,
+      dieDown: CustomClassBuilder.prototype._dieDown,
+      passivePreset: CustomClassBuilder.prototype._passivePreset,
+      pickImage: CustomClassBuilder.prototype._pickImage,
+      resetImage: CustomClassBuilder.prototype._resetImage,
+      importDefinition: CustomClassBuilder.prototype._importDefinition,
+      parseBulkSkills: CustomClassBuilder.prototype._parseBulkSkills,
+      addBulkSkills: CustomClassBuilder.prototype._addBulkSkills,
+      addModifier: CustomClassBuilder.prototype._addModifier,
+      addResource: CustomClassBuilder.prototype._addResource,
+      clearTable: CustomClassBuilder.prototype._clearTable,
+      removeResource: CustomClassBuilder.prototype._removeResource,
+      removeModifier: CustomClassBuilder.prototype._removeModifier,
+      removeEquipment: CustomClassBuilder.prototype._removeEquipment,
+      clearBulkSkills: CustomClassBuilder.prototype._clearBulkSkills,
+      browseIcons: CustomClassBuilder.prototype._browseIcons,
+      undo: CustomClassBuilder.prototype._undo,
+      redo: CustomClassBuilder.prototype._redo
     },
     form: {
       handler: CustomClassBuilder.prototype._handleFormSubmit,
@@ -63,12 +446,12 @@ export class CustomClassBuilder extends HandlebarsApplicationMixin(ApplicationV2
   async _prepareContext(options) {
     const context = await super._prepareContext(options);
     
-    // Common icons for quick selection
+    // Common icons for quick selection (all in FontAwesome Free)
     const commonIcons = [
-      { class: "fa-axe-battle", label: "Axe (Barbarian)" },
+      { class: "fa-hammer", label: "Hammer (Barbarian)" },
       { class: "fa-hand-fist", label: "Fist (Monk)" },
-      { class: "fa-bow-arrow", label: "Bow (Ranger)" },
-      { class: "fa-shield-cross", label: "Shield (Paladin)" },
+      { class: "fa-crosshairs", label: "Crosshairs (Ranger)" },
+      { class: "fa-shield-halved", label: "Shield (Paladin)" },
       { class: "fa-hat-wizard", label: "Hat (Wizard)" },
       { class: "fa-mask", label: "Mask (Rogue)" },
       { class: "fa-cross", label: "Cross (Cleric)" },
@@ -78,7 +461,7 @@ export class CustomClassBuilder extends HandlebarsApplicationMixin(ApplicationV2
       { class: "fa-flask", label: "Flask (Alchemist)" },
       { class: "fa-droplet", label: "Droplet (Blood Mage)" },
       { class: "fa-fire", label: "Fire (Pyromancer)" },
-      { class: "fa-book-sparkles", label: "Book (Scholar)" },
+      { class: "fa-book-open", label: "Book (Scholar)" },
       { class: "fa-paw", label: "Paw (Beastmaster)" }
     ];
 
@@ -89,31 +472,138 @@ export class CustomClassBuilder extends HandlebarsApplicationMixin(ApplicationV2
     const sortedSkills = [...this.skills].sort((a, b) => {
       if (b.weight !== a.weight) return b.weight - a.weight;
       return a.name.localeCompare(b.name);
-    });
+    }).map(skill => ({
+      ...skill,
+      levelRange: skill.maxLevel ? `${skill.minLevel || 1}–${skill.maxLevel}` : (skill.minLevel > 1 ? `${skill.minLevel}+` : ""),
+      imgSrc: skill.img || this.skillImg || DEFAULT_ITEM_IMG,
+      row: skillRowPreview(skill),
+      effectSummary: featureEffectSummary(normalizeFeatureEffect(skill.effect)),
+      usesSummary: this._usesSummary(skill.uses),
+      hasTable: !!this._skillTable(skill)
+    }));
+
+    // Step 2 skill options
+    const abilities = SKILL_ABILITIES.map(key => ({
+      key,
+      label: `DCC.Ability${key.charAt(0).toUpperCase()}${key.slice(1)}`
+    }));
+    const { TextEditor } = foundry.applications.ux;
+    const skillImg = this.skillImg || DEFAULT_ITEM_IMG;
+    const editorSkills = await Promise.all(this.skills.map(async skill => ({
+      ...skill,
+      imgSrc: skill.img || skillImg,
+      // Shown by the step 2 editors until they are opened for editing
+      enrichedDescription: STEPS[this.step - 1].id === "skills"
+        ? await TextEditor.enrichHTML(skill.description, { secrets: true })
+        : "",
+      passive: isPassiveConfig(skill.config),
+      hasEffect: !!normalizeFeatureEffect(skill.effect),
+      usesMode: skill.uses ? (skill.uses.pool ?? "own") : "",
+      usesSummary: this._usesSummary(skill.uses),
+      tableName: skill.table?.uuid ? (fromUuidSync(skill.table.uuid)?.name ?? null) : null,
+      optionsOpen: this.openSkillOptions.has(skill.id),
+      configOptions: SKILL_CONFIG_KEYS.map(key => ({
+        key,
+        label: `DCCCS.Builder.Config.${key}`,
+        checked: !!skill.config[key]
+      }))
+    })));
+
+    const effectTargets = EFFECT_TARGETS.map(({ id, label }) => ({ id, label }));
+
+    const progressionFields = PROGRESSION_FIELDS.map(f => ({
+      key: f.key,
+      label: `DCCCS.Progression.Field.${f.key}`,
+      example: f.example
+    }));
 
     return {
       ...context,
       step: this.step,
+      editMode: !!this.editSource,
+      stepId: STEPS[this.step - 1].id,
+      steps: STEPS.map((s, i) => ({
+        ...s,
+        number: i + 1,
+        active: i + 1 === this.step,
+        complete: i + 1 < this.step
+      })),
       className: this.className,
       iconClass: this.iconClass,
+      classImg: this.classImg || DEFAULT_ITEM_IMG,
+      hasClassImg: !!this.classImg,
+      skillImg,
+      hasSkillImg: !!this.skillImg,
+      overviewFields: OVERVIEW_FIELDS.map(key => ({
+        key,
+        label: `DCCCS.Overview.Field.${key}`,
+        placeholder: `DCCCS.Overview.Placeholder.${key}`,
+        value: this.overview[key]
+      })),
+      overviewOpen: this.overviewOpen || OVERVIEW_FIELDS.some(key => this.overview[key]),
       customIconMode: !commonIcons.find(i => i.class === this.iconClass),
-      skills: this.skills,
+      skills: editorSkills,
       sortedSkills,
+      abilities,
+      effectTargets,
+      resourcePools: this.resources.map(pool => ({
+        ...pool,
+        label: pool.name.trim() || game.i18n.localize("DCCCS.Uses.UnnamedPool")
+      })),
+      diceChain: DICE_CHAIN.map(faces => `1d${faces}`),
       commonIcons,
       itemFolders,
       parentFolder: this.parentFolder,
       hasSkills: this.skills.length > 0,
-      // Helper for icon preview
-      iconPreview: this.iconClass.startsWith("fa-solid") ? this.iconClass : `fa-solid ${this.iconClass}`
+      canUndo: this.undoStack.length > 0,
+      canRedo: this.redoStack.length > 0,
+      bulkOpen: this.bulkOpen,
+      bulkText: this.bulkText,
+      bulkResult: this.bulkResult,
+      progression: this.progression,
+      progressionFields,
+      filledProgression: normalizeProgression(this.progression),
+      equipment: this.equipment.map((entry, index) => ({
+        ...entry,
+        index,
+        imgSrc: entry.img || DEFAULT_ITEM_IMG,
+        typeLabel: game.i18n.localize(CONFIG.Item.typeLabels?.[entry.type] ?? entry.type)
+      })),
+      // Helper for icon preview; a class without an icon gets the default tab icon
+      iconPreview: iconDisplayClass(this.iconClass || getDefaultIcon()),
+      iconStatus: STEPS[this.step - 1].id === "basics" ? await iconStatusNote(this.iconClass) : null
     };
   }
 
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+    const form = this.element;
+
+    // The form element outlives re-renders, so these listeners are added once
+    form.addEventListener("input", () => this._scheduleDraftSave());
+    form.addEventListener("change", () => this._scheduleDraftSave());
+
+    // Step 2: Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z) undo and redo skill edits, outside text fields
+    form.addEventListener("keydown", (ev) => {
+      if (STEPS[this.step - 1].id !== "skills" || !(ev.ctrlKey || ev.metaKey)) return;
+      if (ev.target.closest("input, textarea, select, prose-mirror")) return;
+      const key = ev.key.toLowerCase();
+      if (key === "z" && !ev.shiftKey) this._undo();
+      else if (key === "y" || (key === "z" && ev.shiftKey)) this._redo();
+      else return;
+      ev.preventDefault();
+    });
+  }
+
   _onRender(context, options) {
     super._onRender(context, options);
 
     // Wire up input handlers that need real-time updates
     const form = this.element;
 
+    // Autosave the draft after every re-render; typed changes are caught in _onFirstRender
+    this._scheduleDraftSave();
+
     // Step 1: Basics
     const classNameInput = form.querySelector("[name='className']");
     if (classNameInput) {
@@ -122,10 +612,35 @@ export class CustomClassBuilder extends HandlebarsApplicationMixin(ApplicationV2
       });
     }
 
+    const overviewPanel = form.querySelector(".overview-fields");
+    overviewPanel?.addEventListener("toggle", () => {
+      this.overviewOpen = overviewPanel.open;
+    });
+    form.querySelectorAll("[data-overview-field]").forEach(input => {
+      input.addEventListener("input", (ev) => {
+        this.overview[ev.target.dataset.overviewField] = ev.target.value;
+      });
+    });
+
+    // Step 1: resource pools
+    form.querySelectorAll("[data-resource-field]").forEach(input => {
+      input.addEventListener("input", (ev) => {
+        const pool = this.resources[Number(ev.target.dataset.resourceIndex)];
+        if (!pool) return;
+        pool[ev.target.dataset.resourceField] = ev.target.value;
+        // Until the class is saved, a pool's id follows its name, and so do skills spending from it
+        if (ev.target.dataset.resourceField === "name" && pool.fresh) {
+          const id = resourceId(pool.name.trim() || "pool", this.resources.filter(p => p !== pool).map(p => p.id));
+          for (const skill of this.skills) if (skill.uses?.pool === pool.id) skill.uses.pool = id;
+          pool.id = id;
+        }
+      });
+    });
+
     const iconSelect = form.querySelector("[name='iconClass']");
     if (iconSelect) {
       iconSelect.addEventListener("change", (ev) => {
-        this.iconClass = ev.target.value;
+        this.iconClass = ev.target.value || null;
         this.render(false);
       });
     }
@@ -134,21 +649,26 @@ export class CustomClassBuilder extends HandlebarsApplicationMixin(ApplicationV2
     const customIconInput = form.querySelector("[name='customIconClass']");
     if (customIconInput) {
       customIconInput.addEventListener("input", (ev) => {
-        this.iconClass = ev.target.value.trim();
+        this.iconClass = ev.target.value.trim() || null;
         // Update the icon preview live without full re-render
         const preview = form.querySelector(".icon-preview i");
-        if (preview) {
-          const iconClass = this.iconClass.startsWith("fa-solid") 
-            ? this.iconClass 
-            : `fa-solid ${this.iconClass}`;
-          preview.className = iconClass;
-        }
+        if (preview) preview.className = iconDisplayClass(this.iconClass || getDefaultIcon());
+        this._refreshIconStatus();
       });
     }
 
     // Step 2: Skills - handle field changes
     const skillFields = form.querySelectorAll("[data-skill-field]");
     skillFields.forEach(field => {
+      // Typing into one field is a single undo step, recorded once the field changed
+      field.addEventListener("focus", () => {
+        this._fieldSnapshot = foundry.utils.deepClone(this.skills);
+      });
+      field.addEventListener("change", () => {
+        if (this._fieldSnapshot) this._recordHistory(this._fieldSnapshot);
+        this._fieldSnapshot = null;
+        this._syncHistoryButtons();
+      });
       field.addEventListener("input", (ev) => {
         const skillEl = ev.target.closest("[data-skill-id]");
         if (!skillEl) return;
@@ -159,15 +679,163 @@ export class CustomClassBuilder extends HandlebarsApplicationMixin(ApplicationV2
         
         if (!skill) return;
         
-        if (fieldName === "weight") {
+        if (fieldName === "die") {
+          skill.die = ev.target.value.trim();
+        } else if (fieldName === "weight") {
           skill[fieldName] = parseInt(ev.target.value) || 0;
+        } else if (fieldName === "minLevel" || fieldName === "maxLevel") {
+          skill[fieldName] = parseInt(ev.target.value) || null;
         } else {
           skill[fieldName] = ev.target.value;
         }
       });
     });
 
-    // Step 3: Preview - parent folder selection
+    // Step 2: Skills - rich text descriptions are committed when an editor is saved
+    form.querySelectorAll("prose-mirror[data-skill-description]").forEach(editor => {
+      editor.addEventListener("change", (ev) => {
+        const skill = this._skillFromTarget(ev.target);
+        if (!skill) return;
+        this._recordHistory();
+        skill.description = ev.target.value ?? "";
+      });
+    });
+
+    // Step 2: Skills - keep roll option panels open across re-renders
+    form.querySelectorAll(".skill-options").forEach(panel => {
+      panel.addEventListener("toggle", () => {
+        const skillId = parseInt(panel.closest("[data-skill-id]").dataset.skillId);
+        if (panel.open) this.openSkillOptions.add(skillId);
+        else this.openSkillOptions.delete(skillId);
+      });
+    });
+
+    // Step 2: Skills - system.config switches
+    form.querySelectorAll("[data-skill-config]").forEach(checkbox => {
+      checkbox.addEventListener("change", (ev) => {
+        const skillId = parseInt(ev.target.closest("[data-skill-id]").dataset.skillId);
+        const skill = this.skills.find(s => s.id === skillId);
+        if (!skill) return;
+        this._recordHistory();
+        skill.config[ev.target.dataset.skillConfig] = ev.target.checked;
+        this.render(false);
+      });
+    });
+
+    // Step 2: Skills - feature effect modifiers and duration
+    form.querySelectorAll("[data-effect-field]").forEach(field => {
+      field.addEventListener("change", (ev) => {
+        const skill = this._skillFromTarget(ev.target);
+        if (!skill?.effect) return;
+        this._recordHistory();
+        const { effectField, modifierIndex } = ev.target.dataset;
+        const modifier = skill.effect.modifiers[Number(modifierIndex)];
+        if (effectField === "rounds") skill.effect.rounds = parseInt(ev.target.value) || null;
+        else if (effectField === "bonus" && modifier) modifier.bonus = parseInt(ev.target.value) || 0;
+        else if (effectField === "target" && modifier) modifier.target = ev.target.value;
+        this._syncHistoryButtons();
+      });
+    });
+
+    // Step 2: Skills - uses per day, or a cost from a class resource pool
+    form.querySelectorAll("[data-uses-field]").forEach(field => {
+      field.addEventListener("change", (ev) => {
+        const skill = this._skillFromTarget(ev.target);
+        if (!skill) return;
+        this._recordHistory();
+        const fieldName = ev.target.dataset.usesField;
+        if (fieldName === "mode") {
+          const mode = ev.target.value;
+          skill.uses = !mode ? null
+            : mode === "own" ? { max: skill.uses?.max || "1", pool: null, cost: 1 }
+            : { max: "", pool: mode, cost: skill.uses?.cost ?? 1 };
+          this.render(false);
+          return;
+        }
+        if (!skill.uses) return;
+        if (fieldName === "max") skill.uses.max = ev.target.value.trim();
+        else if (fieldName === "cost") skill.uses.cost = Math.max(1, parseInt(ev.target.value) || 1);
+        this._syncHistoryButtons();
+      });
+    });
+
+    // Step 2: Skills - result table: a RollTable uuid (typed or dropped) or pasted results
+    form.querySelectorAll("[data-table-field]").forEach(field => {
+      field.addEventListener("focus", () => {
+        this._fieldSnapshot = foundry.utils.deepClone(this.skills);
+      });
+      field.addEventListener("change", (ev) => {
+        const skill = this._skillFromTarget(ev.target);
+        if (!skill) return;
+        if (this._fieldSnapshot) this._recordHistory(this._fieldSnapshot);
+        this._fieldSnapshot = null;
+        this._setSkillTable(skill, { [ev.target.dataset.tableField]: ev.target.value.trim() });
+        this.render(false);
+      });
+    });
+    form.querySelectorAll(".skill-table").forEach(zone => {
+      zone.addEventListener("dragover", (ev) => ev.preventDefault());
+      zone.addEventListener("drop", (ev) => {
+        const data = foundry.applications.ux.TextEditor.implementation.getDragEventData(ev);
+        if (data?.type !== "RollTable" || !data.uuid) return;
+        ev.preventDefault();
+        const skill = this._skillFromTarget(zone);
+        if (!skill) return;
+        this._recordHistory();
+        this._setSkillTable(skill, { uuid: data.uuid });
+        this.render(false);
+      });
+    });
+
+    // Step 2: Bulk entry - keep text and open state across re-renders
+    const bulkPanel = form.querySelector(".bulk-entry");
+    if (bulkPanel) {
+      bulkPanel.addEventListener("toggle", () => {
+        this.bulkOpen = bulkPanel.open;
+      });
+    }
+
+    const bulkTextInput = form.querySelector("[name='bulkText']");
+    if (bulkTextInput) {
+      bulkTextInput.addEventListener("input", (ev) => {
+        this.bulkText = ev.target.value;
+      });
+    }
+
+    const bulkFileInput = form.querySelector("[name='bulkFile']");
+    if (bulkFileInput) {
+      bulkFileInput.addEventListener("change", async (ev) => {
+        const file = ev.target.files?.[0];
+        if (!file) return;
+        this.bulkText = await foundry.utils.readTextFromFile(file);
+        this.bulkResult = parseSkillRows(this.bulkText);
+        this.render(false);
+      });
+    }
+
+    // Step 3: Progression - one input per level and field
+    const progressionInputs = form.querySelectorAll("[data-progression-field]");
+    progressionInputs.forEach(input => {
+      input.addEventListener("input", (ev) => {
+        const level = parseInt(ev.target.closest("[data-progression-level]").dataset.progressionLevel);
+        const row = this.progression.find(r => r.level === level);
+        if (row) row[ev.target.dataset.progressionField] = ev.target.value;
+      });
+    });
+
+    // Step 4: Equipment - items dropped from the Items sidebar or a compendium
+    const equipmentZone = form.querySelector(".equipment-drop");
+    if (equipmentZone) {
+      equipmentZone.addEventListener("dragover", (ev) => ev.preventDefault());
+      equipmentZone.addEventListener("drop", (ev) => {
+        const data = foundry.applications.ux.TextEditor.implementation.getDragEventData(ev);
+        if (data?.type !== "Item" || !data.uuid) return;
+        ev.preventDefault();
+        this._addEquipment(data.uuid);
+      });
+    }
+
+    // Step 5: Preview - parent folder selection
     const parentFolderSelect = form.querySelector("[name='parentFolder']");
     if (parentFolderSelect) {
       parentFolderSelect.addEventListener("change", (ev) => {
@@ -178,12 +846,23 @@ export class CustomClassBuilder extends HandlebarsApplicationMixin(ApplicationV2
 
   async _nextStep(event, target) {
     // Validate current step
-    if (this.step === 1) {
+    const stepId = STEPS[this.step - 1].id;
+    if (stepId === "basics") {
       if (!this.className.trim()) {
         ui.notifications.warn(game.i18n.localize("DCCCS.Builder.Validation.ClassName"));
         return;
       }
-    } else if (this.step === 2) {
+      const badPool = this.resources.find(p => (p.name.trim() || p.max.trim()) && (!p.name.trim() || !isValidMax(p.max)));
+      if (badPool) {
+        ui.notifications.warn(game.i18n.format("DCCCS.Builder.Validation.Resource", { name: badPool.name || "?", max: badPool.max }));
+        return;
+      }
+      const icon = await checkIconClass(this.iconClass);
+      if (this.iconClass && (!icon.valid || icon.known === false)) {
+        ui.notifications.warn(game.i18n.format("DCCCS.Builder.Validation.Icon", { icon: this.iconClass }));
+        return;
+      }
+    } else if (stepId === "skills") {
       if (this.skills.length === 0) {
         ui.notifications.warn(game.i18n.localize("DCCCS.Builder.Validation.NoSkills"));
         return;
@@ -194,29 +873,217 @@ export class CustomClassBuilder extends HandlebarsApplicationMixin(ApplicationV2
         ui.notifications.warn(game.i18n.localize("DCCCS.Builder.Validation.UnnamedSkills"));
         return;
       }
+      const badRange = this.skills.find(s => s.minLevel && s.maxLevel && s.maxLevel < s.minLevel);
+      if (badRange) {
+        ui.notifications.warn(game.i18n.format("DCCCS.Builder.Validation.LevelRange", { name: badRange.name }));
+        return;
+      }
+      const badDie = this.skills.find(s => s.config.useDie && !normalizeDie(s.die));
+      if (badDie) {
+        ui.notifications.warn(game.i18n.format("DCCCS.Builder.Validation.Die", { name: badDie.name, die: badDie.die }));
+        return;
+      }
+      const badUses = this.skills.find(s => s.uses && !s.uses.pool && !isValidMax(s.uses.max));
+      if (badUses) {
+        ui.notifications.warn(game.i18n.format("DCCCS.Builder.Validation.Uses", { name: badUses.name, max: badUses.uses.max }));
+        return;
+      }
+      for (const skill of this.skills.filter(s => s.table?.text)) {
+        const { errors } = parseTableResults(skill.table.text);
+        if (errors.length) {
+          ui.notifications.warn(game.i18n.format("DCCCS.Builder.Validation.Table", { name: skill.name, rows: errors.map(e => e.row).join(", ") }));
+          return;
+        }
+      }
+      const missingTable = this.skills.find(s => s.table?.uuid && !s.table.generated && !fromUuidSync(s.table.uuid));
+      if (missingTable) {
+        ui.notifications.warn(game.i18n.format("DCCCS.Builder.Validation.TableUuid", { name: missingTable.name, uuid: missingTable.table.uuid }));
+        return;
+      }
+      for (const skill of this.skills) skill.die = normalizeDie(skill.die) ?? skill.die;
+    } else if (stepId === "progression") {
+      const invalid = validateProgression(this.progression);
+      if (invalid.length > 0) {
+        const cells = invalid.map(c =>
+          `${game.i18n.localize("DCCCS.Progression.Level")} ${c.level} ${game.i18n.localize(`DCCCS.Progression.Field.${c.field}`)} "${c.value}"`
+        );
+        ui.notifications.warn(game.i18n.format("DCCCS.Builder.Validation.Progression", { cells: cells.join(", ") }));
+        return;
+      }
     }
 
     this.step++;
     this.render(false);
   }
 
+  /** Re-check the typed icon against the FontAwesome list and update the step 1 note in place. */
+  async _refreshIconStatus() {
+    const iconClass = this.iconClass;
+    const note = await iconStatusNote(iconClass);
+    const element = this.element.querySelector(".icon-status");
+    if (!element || iconClass !== this.iconClass) return;
+    element.hidden = !note;
+    element.className = `icon-status ${note?.level ?? ""}`;
+    element.textContent = note?.text ?? "";
+  }
+
+  async _browseIcons(event, target) {
+    const icon = await IconPicker.pick({ current: this.iconClass });
+    if (!icon) return;
+    this.iconClass = icon;
+    this.render(false);
+  }
+
   async _prevStep(event, target) {
     this.step--;
     this.render(false);
   }
 
   async _addSkill(event, target) {
-    this.skills.push({
-      id: this.nextSkillId++,
+    this._recordHistory();
+    this.skills.push(this._newSkill());
+    this.render(false);
+  }
+
+  /**
+   * Build a builder skill entry with fresh temporary id and default DCC skill data.
+   * @param {object} [data] - Definition fields to copy over the defaults
+   * @returns {object}
+   */
+  _newSkill(data = {}) {
+    return {
       name: "",
       description: "",
-      weight: 0
-    });
+      img: null,
+      weight: 0,
+      minLevel: null,
+      maxLevel: null,
+      ability: "",
+      die: DEFAULT_SKILL_DIE,
+      value: "",
+      ...data,
+      config: { ...DEFAULT_SKILL_CONFIG, ...data.config },
+      effect: data.effect ? foundry.utils.deepClone(data.effect) : null,
+      // Result text is edited for tables the builder generated; other tables are only referenced
+      table: data.table ? {
+        uuid: data.table.uuid ?? "",
+        text: data.table.generated ? formatTableResults(data.table.results) : "",
+        generated: !!data.table.generated
+      } : null,
+      id: this.nextSkillId++
+    };
+  }
+
+  /**
+   * Replace the wizard state with a class definition and jump to the preview step.
+   * @param {object} definition - A validated class definition (see class-definition.js)
+   */
+  loadDefinition(definition) {
+    this.className = definition.name;
+    // A class without an icon keeps none; the builder only shows the default icon for it
+    this.iconClass = definition.icon || null;
+    this.classDescription = definition.description || null;
+    this.classImg = definition.img || null;
+    this.skillImg = definition.skillImg || null;
+    this.overview = normalizeOverview(definition.overview);
+    this.resources = normalizeResources(definition.resources);
+    // Skills showing the class default image inherit it, so changing the default changes them too
+    this.skills = definition.skills.map(s => this._newSkill({
+      ...s,
+      img: s.img && s.img !== this.skillImg ? s.img : null
+    }));
+    this.progression = emptyProgressionTable();
+    for (const row of definition.progression ?? []) {
+      const target = this.progression.find(r => r.level === row.level);
+      if (target) Object.assign(target, row);
+    }
+    this.equipment = normalizeEquipment(definition.equipment);
+    this.step = STEPS.length;
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Snapshot the wizard state as a class definition.
+   * @returns {object}
+   */
+  toDefinition() {
+    return {
+      type: CLASS_DEFINITION_TYPE,
+      schemaVersion: CLASS_SCHEMA_VERSION,
+      name: this.className,
+      icon: this.iconClass || null,
+      description: this.classDescription,
+      img: this.classImg,
+      skillImg: this.skillImg,
+      overview: normalizeOverview(this.overview),
+      resources: normalizeResources(this.resources.map(({ id, name, max }) => ({ id, name, max }))),
+      skills: this.skills.map(({ id, ...skill }) => ({
+        ...skill,
+        img: skill.img || this.skillImg,
+        effect: normalizeFeatureEffect(skill.effect),
+        uses: normalizeUses(skill.uses),
+        table: this._skillTable(skill)
+      })),
+      equipment: normalizeEquipment(this.equipment),
+      progression: normalizeProgression(this.progression)
+    };
+  }
+
+  async _importDefinition(event, target) {
+    const definition = await importClassDefinitionFile();
+    if (!definition) return;
+    // When editing, imported skills with a known name keep updating the existing item
+    if (this.editSource) {
+      const sourceIds = new Map(this.skills.filter(s => s.sourceId).map(s => [s.name.toLowerCase(), s.sourceId]));
+      for (const skill of definition.skills) skill.sourceId = sourceIds.get(skill.name.toLowerCase());
+      const kitIds = new Map(this.equipment.filter(e => e.sourceId && e.sourceUuid).map(e => [e.sourceUuid, e.sourceId]));
+      for (const entry of definition.equipment) entry.sourceId = kitIds.get(entry.sourceUuid);
+    }
+    this.loadDefinition(definition);
+    this.render(false);
+  }
+
+  async _parseBulkSkills(event, target) {
+    this.bulkResult = parseSkillRows(this.bulkText);
+    this.render(false);
+  }
+
+  async _addBulkSkills(event, target) {
+    const rows = this.bulkResult?.skills ?? [];
+    if (!rows.length) return;
+    this._recordHistory();
+
+    // Rows whose name matches an existing skill update it; the rest are appended
+    let added = 0;
+    let updated = 0;
+    for (const { skill: row } of rows) {
+      const existing = this.skills.find(s => s.name.trim().toLowerCase() === row.name.toLowerCase());
+      if (existing) {
+        Object.assign(existing, row, { description: row.description || existing.description });
+        updated++;
+      } else {
+        this.skills.push(this._newSkill(row));
+        added++;
+      }
+    }
+
+    ui.notifications.info(game.i18n.format("DCCCS.Bulk.Merged", { added, updated }));
+    this.bulkText = "";
+    this.bulkResult = null;
+    this.bulkOpen = false;
+    this.render(false);
+  }
+
+  async _clearBulkSkills(event, target) {
+    this.bulkText = "";
+    this.bulkResult = null;
     this.render(false);
   }
 
   async _removeSkill(event, target) {
     const skillId = parseInt(target.closest("[data-skill-id]").dataset.skillId);
+    this._recordHistory();
     this.skills = this.skills.filter(s => s.id !== skillId);
     this.render(false);
   }
@@ -225,17 +1092,211 @@ export class CustomClassBuilder extends HandlebarsApplicationMixin(ApplicationV2
     const skillId = parseInt(target.closest("[data-skill-id]").dataset.skillId);
     const index = this.skills.findIndex(s => s.id === skillId);
     if (index === -1 || index === 0) return;
-    
+    this._recordHistory();
+
     // Swap with previous
     [this.skills[index - 1], this.skills[index]] = [this.skills[index], this.skills[index - 1]];
     this.render(false);
   }
 
+  /**
+   * The builder skill entry of a step 2 editor control.
+   * @param {HTMLElement} target
+   * @returns {object|undefined}
+   */
+  _skillFromTarget(target) {
+    const skillId = parseInt(target.closest("[data-skill-id]").dataset.skillId);
+    return this.skills.find(s => s.id === skillId);
+  }
+
+  async _dieUp(event, target) {
+    const skill = this._skillFromTarget(target);
+    if (!skill) return;
+    this._recordHistory();
+    skill.die = stepDiceChain(skill.die, 1);
+    this.render(false);
+  }
+
+  async _dieDown(event, target) {
+    const skill = this._skillFromTarget(target);
+    if (!skill) return;
+    this._recordHistory();
+    skill.die = stepDiceChain(skill.die, -1);
+    this.render(false);
+  }
+
+  /**
+   * Choose an image with the FilePicker: for the class naming item (data-image-target="class"),
+   * the class default for skills ("skill-default") or one skill ("skill").
+   */
+  async _pickImage(event, target) {
+    const imageTarget = target.dataset.imageTarget;
+    const skill = imageTarget === "skill" ? this._skillFromTarget(target) : null;
+    const current = {
+      class: this.classImg,
+      "skill-default": this.skillImg,
+      skill: skill?.img || this.skillImg
+    }[imageTarget] ?? DEFAULT_ITEM_IMG;
+
+    const FilePicker = foundry.applications.apps.FilePicker.implementation;
+    const picker = new FilePicker({
+      type: "image",
+      current,
+      callback: (path) => {
+        if (imageTarget === "class") this.classImg = path;
+        else if (imageTarget === "skill-default") this.skillImg = path;
+        else if (skill) {
+          this._recordHistory();
+          skill.img = path;
+        }
+        this.render(false);
+      }
+    });
+    picker.render(true);
+  }
+
+  /** Go back to the default image: the item default for the class, the class default for a skill. */
+  async _resetImage(event, target) {
+    const imageTarget = target.dataset.imageTarget;
+    if (imageTarget === "class") this.classImg = null;
+    else if (imageTarget === "skill-default") this.skillImg = null;
+    else {
+      const skill = this._skillFromTarget(target);
+      if (!skill) return;
+      this._recordHistory();
+      skill.img = null;
+    }
+    this.render(false);
+  }
+
+  /** Turn a skill into a passive feature: shown and described on the sheet, nothing to roll. */
+  async _passivePreset(event, target) {
+    const skill = this._skillFromTarget(target);
+    if (!skill) return;
+    this._recordHistory();
+    skill.config = { ...skill.config, ...PASSIVE_SKILL_CONFIG };
+    this.render(false);
+  }
+
+  /**
+   * A skill's table as definition data: a referenced RollTable, or results to generate one from.
+   * @param {object} skill - Builder skill entry
+   * @returns {object|null} see normalizeSkillTable
+   */
+  _skillTable(skill) {
+    const { uuid = "", text = "", generated = false } = skill.table ?? {};
+    return normalizeSkillTable({
+      uuid,
+      name: `${this.className}: ${skill.name}`,
+      formula: normalizeDie(skill.die) ?? "",
+      results: generated || !uuid ? parseTableResults(text).results : [],
+      generated: generated || !uuid
+    });
+  }
+
+  /**
+   * Short text for a skill's uses, e.g. "1 + @level / day" or "2 Fury".
+   * @param {object|null} uses - Builder uses entry
+   * @returns {string}
+   */
+  _usesSummary(uses) {
+    const normalized = normalizeUses(uses);
+    if (!normalized) return "";
+    if (!normalized.pool) return game.i18n.format("DCCCS.Uses.PerDay", { max: normalized.max });
+    const pool = this.resources.find(p => p.id === normalized.pool);
+    return `${normalized.cost} ${pool?.name || game.i18n.localize("DCCCS.Uses.UnnamedPool")}`;
+  }
+
+  /**
+   * Change a skill's table. Another uuid replaces the generated table and its result text;
+   * clearing the uuid of a generated table keeps the text for a new one.
+   * @param {object} skill - Builder skill entry
+   * @param {{ uuid?: string, text?: string }} changes
+   */
+  _setSkillTable(skill, changes) {
+    const table = { uuid: "", text: "", generated: false, ...skill.table };
+    if ("uuid" in changes && changes.uuid !== table.uuid) {
+      const keepText = !changes.uuid && table.generated;
+      Object.assign(table, { uuid: changes.uuid, text: keepText ? table.text : "", generated: false });
+    }
+    if ("text" in changes) table.text = changes.text;
+    skill.table = table.uuid || table.text ? table : null;
+  }
+
+  async _clearTable(event, target) {
+    const skill = this._skillFromTarget(target);
+    if (!skill?.table) return;
+    this._recordHistory();
+    skill.table = null;
+    this.render(false);
+  }
+
+  async _addResource(event, target) {
+    this.resources.push({ id: resourceId("pool", this.resources.map(p => p.id)), name: "", max: "", fresh: true });
+    this.render(false);
+  }
+
+  /** Remove a resource pool; skills spending from it become unlimited. */
+  async _removeResource(event, target) {
+    const [pool] = this.resources.splice(Number(target.dataset.resourceIndex), 1);
+    if (pool) {
+      for (const skill of this.skills) if (skill.uses?.pool === pool.id) skill.uses = null;
+    }
+    this.render(false);
+  }
+
+  /**
+   * Add a dropped item to the starting kit. Skills belong in step 2, and an item dropped twice
+   * is only added once.
+   * @param {string} uuid - The dropped item
+   */
+  async _addEquipment(uuid) {
+    const item = await fromUuid(uuid);
+    if (!(item instanceof Item)) return;
+    if (item.type === "skill") {
+      ui.notifications.warn(game.i18n.format("DCCCS.Equipment.NoSkills", { name: item.name }));
+      return;
+    }
+    const entry = equipmentFromItem(item);
+    if (this.equipment.some(e => e.sourceUuid === entry.sourceUuid)) {
+      ui.notifications.info(game.i18n.format("DCCCS.Equipment.AlreadyAdded", { name: item.name }));
+      return;
+    }
+    this.equipment.push(entry);
+    this.render(false);
+  }
+
+  async _removeEquipment(event, target) {
+    this.equipment.splice(Number(target.dataset.equipmentIndex), 1);
+    this.render(false);
+  }
+
+  /** Add a modifier to a skill's feature effect, creating the effect if needed. */
+  async _addModifier(event, target) {
+    const skill = this._skillFromTarget(target);
+    if (!skill) return;
+    this._recordHistory();
+    skill.effect ??= { modifiers: [], rounds: null };
+    skill.effect.modifiers.push({ target: EFFECT_TARGETS[0].id, bonus: 1 });
+    this.render(false);
+  }
+
+  /** Remove a modifier; a feature effect without modifiers is dropped. */
+  async _removeModifier(event, target) {
+    const skill = this._skillFromTarget(target);
+    if (!skill?.effect) return;
+    this._recordHistory();
+    skill.effect.modifiers.splice(Number(target.dataset.modifierIndex), 1);
+    if (!skill.effect.modifiers.length) skill.effect = null;
+    this.render(false);
+  }
+
   async _moveSkillDown(event, target) {
     const skillId = parseInt(target.closest("[data-skill-id]").dataset.skillId);
     const index = this.skills.findIndex(s => s.id === skillId);
     if (index === -1 || index === this.skills.length - 1) return;
-    
+    this._recordHistory();
+
     // Swap with next
     [this.skills[index], this.skills[index + 1]] = [this.skills[index + 1], this.skills[index]];
     this.render(false);
@@ -243,73 +1304,11 @@ export class CustomClassBuilder extends HandlebarsApplicationMixin(ApplicationV2
 
   async _createClass(event, target) {
     try {
-      // 1. Create folder
-      const folderData = {
-        name: this.className,
-        type: "Item",
-        color: "#8b4513" // Brown color for custom classes
-      };
-      
-      if (this.parentFolder) {
-        folderData.folder = this.parentFolder;
-      }
-      
-      const folder = await Folder.create(folderData);
-      
-      // 2. Create (CUSTOMCLASS) naming skill
-      const iconLine = this.iconClass ? `<p>icon: ${this.iconClass}</p>` : "";
-      const namingSkill = {
-        name: `(CUSTOMCLASS)${this.className}`,
-        type: "skill",
-        folder: folder.id,
-        img: "icons/svg/item-bag.svg",
-        system: {
-          description: {
-            value: `${iconLine}<h3>${this.className}</h3><p>Custom class created with DCC Custom Class Builder.</p>`
-          },
-          config: {
-            useSummary: true,
-            useAbility: false,
-            useDie: false,
-            useLevel: false,
-            useValue: false,
-            showLastResult: false
-          }
-        }
-      };
-      
-      // 3. Create prefixed skills
-      const prefixedSkills = this.skills.map(s => {
-        const weightSuffix = s.weight > 0 ? `^${s.weight}` : "";
-        const description = s.description.trim() || `<p>${s.name}</p>`;
-        
-        return {
-          name: `(${this.className}${weightSuffix})${s.name}`,
-          type: "skill",
-          folder: folder.id,
-          img: "icons/svg/item-bag.svg",
-          system: {
-            description: {
-              value: description
-            },
-            config: {
-              useSummary: true,
-              useAbility: true,
-              useDie: true,
-              useLevel: false,
-              useValue: true,
-              showLastResult: false
-            },
-            ability: "",
-            die: "1d20",
-            value: ""
-          }
-        };
+      // 1-4. Create the folder, the (CUSTOMCLASS) naming skill and all prefixed skills
+      const folder = await createClassFromDefinition(this.toDefinition(), {
+        parentFolder: this.parentFolder
       });
       
-      // 4. Create all items in one transaction
-      await Item.createDocuments([namingSkill, ...prefixedSkills]);
-      
       // 5. Notify success
       ui.notifications.info(
         game.i18n.format("DCCCS.Builder.Success", {
@@ -318,7 +1317,8 @@ export class CustomClassBuilder extends HandlebarsApplicationMixin(ApplicationV2
         })
       );
       
-      // 6. Close dialog
+      // 6. Drop the draft and close dialog
+      await this._discardDraft();
       this.close();
       
       // 7. If opened from an actor sheet, offer to apply immediately
@@ -332,12 +1332,7 @@ export class CustomClassBuilder extends HandlebarsApplicationMixin(ApplicationV2
         });
         
         if (apply) {
-          // Get all items from the folder
-          const folderItems = game.items.filter(i => i.folder?.id === folder.id);
-          const itemData = folderItems.map(i => i.toObject());
-          
-          // Create on actor
-          await this.actor.createEmbeddedDocuments("Item", itemData);
+          await applyClassFolder(this.actor, folder);
           
           ui.notifications.info(
             game.i18n.format("DCCCS.Builder.Applied", { className: this.className })
@@ -353,6 +1348,40 @@ export class CustomClassBuilder extends HandlebarsApplicationMixin(ApplicationV2
     }
   }
 
+  async _saveClass(event, target) {
+    try {
+      const { definition: before, ...source } = this.editSource;
+      const after = this.toDefinition();
+      const diff = diffClassDefinitions(before, after);
+      if (!diff.hasChanges) {
+        ui.notifications.info(game.i18n.localize("DCCCS.Builder.NoChanges"));
+        await this._discardDraft();
+        this.close();
+        return;
+      }
+
+      await saveClassInPlace(source, before, after);
+      ui.notifications.info(game.i18n.format("DCCCS.Builder.Saved", { className: after.name }));
+      await this._discardDraft();
+      this.close();
+
+      // Offer to push the change to every other actor carrying the class
+      const actors = findActorsWithClass(before.name).filter(a => a !== source.parent);
+      const actorIds = await promptApplyClassChanges(diff, actors);
+      let count = 0;
+      for (const actorId of actorIds) {
+        const actor = game.actors.get(actorId);
+        if (actor && await applyClassChanges(actor, before, after)) count++;
+      }
+      if (actorIds.length) {
+        ui.notifications.info(game.i18n.format("DCCCS.Builder.ChangesApplied", { className: after.name, count }));
+      }
+    } catch (error) {
+      console.error(`[${MODULE_ID}] Error saving custom class:`, error);
+      ui.notifications.error(game.i18n.localize("DCCCS.Builder.SaveError"));
+    }
+  }
+
   async _handleFormSubmit(event, form, formData) {
     // Form submission not used - all interactions are through action buttons
     event.preventDefault();
@@ -0,0 +1,638 @@
+// DCC Custom Class Sheet — class definition documents
+// A class definition is a plain, versioned JSON object describing one custom class.
+// It is the common currency between the builder, world Item folders, actors and .json files:
+//  - classDefinitionFromItems() reads a definition from a folder's or actor's items
+//  - createClassFromDefinition() writes one as a world Item folder
+//  - exportClassDefinition() / importClassDefinitionFile() move it in and out of Foundry
+//  - parseSkillRows() turns pasted CSV/TSV rows into definition skill entries
+//
+// Format (schemaVersion 1):
+// {
+//   "type": "dcc-custom-class",
+//   "schemaVersion": 1,
+//   "name": "Barbarian",
+//   "icon": "fa-hammer",
+//   "description": "<h3>Barbarian</h3><p>A fierce warrior…</p>",
+//   "img": "icons/skills/melee/unarmed-punch-fist.webp",
+//   "skillImg": "icons/svg/item-bag.svg",
+//   "overview": { "hitDie": "1d12", "alignment": "Chaotic or neutral", "weaponTraining": "Any melee weapon",
+//                 "languages": "Common, plus one tribal tongue" },
+//   "resources": [{ "id": "fury", "name": "Fury", "max": "@level + 2" }],
+//   "skills": [
+//     { "name": "Rage", "weight": 10, "minLevel": 3, "maxLevel": null, "description": "<p>…</p>",
+//       "img": "icons/magic/fire/flame-burning-fist-strike.webp",
+//       "ability": "", "die": "1d20", "value": "", "config": { "useDie": true, … },
+//       "effect": { "modifiers": [{ "target": "str", "bonus": 2 }], "rounds": 10 },
+//       "uses": { "max": "", "pool": "fury", "cost": 2 },
+//       "table": { "uuid": "RollTable.abc", "name": "Barbarian: Rage", "formula": "1d20", "results": […] } }
+//   ],
+//   "equipment": [{ "name": "Battleaxe", "type": "weapon", "sourceUuid": "Compendium.…", "data": { … } }],
+//   "progression": [
+//     { "level": 1, "title": "Savage", "hitDie": "1d12", "attack": "+d3", "critDie": "1d12",
+//       "critTable": "III", "actionDice": "1d20", "ref": "+1", "fort": "+1", "will": "+0" }
+//   ]
+// }
+// "progression" is optional; see progression.js for the row format. A skill's "minLevel" and
+// "maxLevel" are optional too (null or absent: no limit), see the "@3-7" prefix in init.js.
+// "img" is the naming item's image and "skillImg" the class default for skills without an "img"
+// of their own; all three are optional. "overview" (optional) holds the class overview fields shown
+// at the top of the Custom Class tab, see class-overview.js. A skill's "effect" (optional) is the
+// toggleable Active Effect it grants, see features.js. "resources" (class pools) and a skill's
+// "uses" (optional) limit how often features can be used, see resources.js. A skill's "table"
+// (optional) is the RollTable its check is looked up on, see skill-tables.js. "equipment" (optional)
+// is the class's starting kit, granted when the class is applied, see equipment.js.
+
+import { MODULE_ID } from "./init.js";
+import {
+  getItemClassData,
+  classSkillFields,
+  isIconClass,
+  namingItemFields,
+  stripCustomClassIcon,
+} from "./utils.js";
+import { getProgression, normalizeProgression } from "./progression.js";
+import { getClassOverview, normalizeOverview } from "./class-overview.js";
+import { featureEffectData, featureEffectFromItem, normalizeFeatureEffect } from "./features.js";
+import { normalizeResources, normalizeUses } from "./resources.js";
+import { ensureSkillTables, normalizeSkillTable, skillTableFromItem } from "./skill-tables.js";
+import { equipmentFromItem, equipmentItemData, grantEquipment, isKitItem, normalizeEquipment } from "./equipment.js";
+
+/** Identifies our JSON documents among other .json files a user might pick */
+export const CLASS_DEFINITION_TYPE = "dcc-custom-class";
+
+/** Bump when the definition format changes incompatibly; older versions are upgraded in validateClassDefinition */
+export const CLASS_SCHEMA_VERSION = 1;
+
+/** Folder color used for created classes */
+const CLASS_FOLDER_COLOR = "#8b4513";
+
+/** system.config for class skills when a definition does not specify one */
+export const DEFAULT_SKILL_CONFIG = {
+  useSummary: true,
+  useAbility: true,
+  useDie: true,
+  useLevel: false,
+  useValue: true,
+  showLastResult: false
+};
+
+/** Image of created items when neither the skill nor the class sets one */
+export const DEFAULT_ITEM_IMG = "icons/svg/item-bag.svg";
+
+/** Die used for class skills when a definition does not specify one */
+export const DEFAULT_SKILL_DIE = "1d20";
+
+/** DCC ability keys a skill may roll with */
+export const SKILL_ABILITIES = ["str", "agl", "sta", "per", "int", "lck"];
+
+/** The DCC dice chain, smallest to largest */
+export const DICE_CHAIN = [3, 4, 5, 6, 7, 8, 10, 12, 14, 16, 20, 24, 30];
+
+/** system.config of a passive feature: described on the sheet, never rolled */
+export const PASSIVE_SKILL_CONFIG = {
+  useSummary: true,
+  useAbility: false,
+  useDie: false,
+  useLevel: false,
+  useValue: false,
+  showLastResult: false
+};
+
+/** system.config for the (CUSTOMCLASS) naming skill — it is never rolled */
+const NAMING_SKILL_CONFIG = PASSIVE_SKILL_CONFIG;
+
+/**
+ * Normalize a die expression to "NdX" ("d20" => "1d20").
+ * @param {string} die
+ * @returns {string|null} null when it is not a single die expression
+ */
+export function normalizeDie(die) {
+  const match = String(die ?? "").trim().toLowerCase().match(/^(\d*)d(\d+)$/);
+  if (!match) return null;
+  return `${match[1] || 1}d${match[2]}`;
+}
+
+/**
+ * Move a die up or down the dice chain, keeping the number of dice ("1d20" +1 => "1d24").
+ * A die that is not on the chain moves to the nearest chain die in that direction.
+ * @param {string} die
+ * @param {number} steps - Positive to step up, negative to step down
+ * @returns {string} the new die; the old one when it can't move further
+ */
+export function stepDiceChain(die, steps) {
+  const normalized = normalizeDie(die) ?? DEFAULT_SKILL_DIE;
+  const [count, faces] = normalized.split("d").map(Number);
+  let index = DICE_CHAIN.indexOf(faces);
+  if (index < 0) {
+    // Off-chain die: the first step lands on the neighbouring chain die
+    index = DICE_CHAIN.findIndex((f) => f > faces);
+    if (index < 0) index = DICE_CHAIN.length;
+    if (steps > 0) steps--;
+    else if (steps < 0) { index--; steps++; }
+  }
+  const next = Math.min(Math.max(index + steps, 0), DICE_CHAIN.length - 1);
+  return `${count}d${DICE_CHAIN[next]}`;
+}
+
+/**
+ * Default lore for a class that has none.
+ * @param {string} className
+ * @returns {string}
+ */
+export function defaultClassDescription(className) {
+  return `<h3>${className}</h3><p>Custom class created with DCC Custom Class Builder.</p>`;
+}
+
+/**
+ * Convert one class skill item into its definition entry.
+ * @param {Item} item
+ * @param {{ weight: number, minLevel: number|null, maxLevel: number|null, skillName: string }} parsed - result of getItemClassData
+ * @returns {object}
+ */
+export function skillToDefinition(item, parsed) {
+  const system = item.system ?? {};
+  return {
+    name: parsed.skillName,
+    weight: parsed.weight,
+    minLevel: parsed.minLevel,
+    maxLevel: parsed.maxLevel,
+    description: system.description?.value ?? "",
+    img: item.img || null,
+    ability: system.ability ?? "",
+    die: system.die ?? "",
+    value: system.value ?? "",
+    config: pickSkillConfig(system.config),
+    effect: featureEffectFromItem(item),
+    uses: normalizeUses(item.flags?.[MODULE_ID]?.uses),
+    table: skillTableFromItem(item)
+  };
+}
+
+/**
+ * Keep only the known boolean system.config keys, filling gaps from DEFAULT_SKILL_CONFIG.
+ * @param {object} [config]
+ * @returns {object}
+ */
+function pickSkillConfig(config = {}) {
+  const picked = {};
+  for (const [key, fallback] of Object.entries(DEFAULT_SKILL_CONFIG)) {
+    picked[key] = typeof config?.[key] === "boolean" ? config[key] : fallback;
+  }
+  return picked;
+}
+
+/**
+ * Find the items that make up one class among a set of items (a folder's contents or an actor's items).
+ * @param {Iterable<Item>} items
+ * @param {object} [options]
+ * @param {string} [options.className] - Class to look for; defaults to the first (CUSTOMCLASS) label found
+ * @returns {{ name: string, naming: Item|null, skills: Array<{ item: Item, parsed: object }>, equipment: Item[] }|null}
+ *   null if no class name could be determined; `equipment` are the class's kit items
+ */
+export function findClassItems(items, { className } = {}) {
+  const entries = [...items]
+    .map((item) => ({ item, parsed: getItemClassData(item) }))
+    .filter(({ parsed }) => parsed);
+  const namingItems = entries.filter(({ parsed }) => parsed.naming);
+
+  const naming = className
+    ? namingItems.find(({ parsed }) => parsed.className.toLowerCase() === className.toLowerCase())
+    : namingItems[0];
+  const name = className ?? naming?.parsed.className ?? null;
+  if (!name) return null;
+
+  const classSkills = entries.filter(({ parsed }) => !parsed.naming && parsed.className.toLowerCase() === name.toLowerCase());
+
+  // Same order the sheet shows: high weight first, then alphabetical
+  classSkills.sort((a, b) => {
+    if (b.parsed.weight !== a.parsed.weight) return b.parsed.weight - a.parsed.weight;
+    return a.parsed.skillName.localeCompare(b.parsed.skillName, undefined, { sensitivity: "base" });
+  });
+
+  const equipment = [...items].filter((item) => isKitItem(item, name));
+
+  return { name, naming: naming?.item ?? null, skills: classSkills, equipment };
+}
+
+/**
+ * Read the class-level fields of a definition from its (CUSTOMCLASS) naming item.
+ * @param {string} name - Class name
+ * @param {Item|null} naming
+ * @returns {object} definition without skills
+ */
+function namingItemToDefinition(name, naming) {
+  const descriptionHTML = naming?.system?.description?.value ?? "";
+  return {
+    type: CLASS_DEFINITION_TYPE,
+    schemaVersion: CLASS_SCHEMA_VERSION,
+    name,
+    icon: naming ? getItemClassData(naming).icon : null,
+    description: stripCustomClassIcon(descriptionHTML) || defaultClassDescription(name),
+    img: naming?.img || null,
+    skillImg: naming?.flags?.[MODULE_ID]?.skillImg || null,
+    overview: getClassOverview(naming),
+    resources: normalizeResources(naming?.flags?.[MODULE_ID]?.resources),
+    progression: getProgression(naming)
+  };
+}
+
+/**
+ * Read a class definition from a set of skill items (a folder's contents or an actor's items).
+ * @param {Iterable<Item>} items
+ * @param {object} [options]
+ * @param {string} [options.className] - Class to extract; defaults to the first (CUSTOMCLASS) label found
+ * @param {boolean} [options.withSourceIds=false] - Record each skill's and kit item's id as `sourceId` (for editing in place)
+ * @returns {object|null} the definition, or null if no class name could be determined
+ */
+export function classDefinitionFromItems(items, { className, withSourceIds = false } = {}) {
+  const found = findClassItems(items, { className });
+  if (!found) return null;
+
+  const definition = namingItemToDefinition(found.name, found.naming);
+  definition.skills = found.skills.map(({ item, parsed }) => {
+    const skill = skillToDefinition(item, parsed);
+    if (withSourceIds) skill.sourceId = item.id;
+    return skill;
+  });
+  definition.equipment = found.equipment.map((item) => {
+    const entry = equipmentFromItem(item);
+    if (withSourceIds) entry.sourceId = item.id;
+    return entry;
+  });
+  return definition;
+}
+
+/**
+ * Read a class definition from a world Item folder.
+ * Falls back to the folder name when the folder has no (CUSTOMCLASS) item.
+ * @param {Folder} folder
+ * @param {object} [options] - See classDefinitionFromItems
+ * @returns {object}
+ */
+export function classDefinitionFromFolder(folder, options = {}) {
+  const items = game.items.filter((i) => i.folder?.id === folder.id);
+  return classDefinitionFromItems(items, options)
+    ?? classDefinitionFromItems(items, { ...options, className: folder.name });
+}
+
+/**
+ * Validate untrusted JSON and normalize it into a current-version class definition.
+ * @param {object} data - Parsed JSON
+ * @returns {object} normalized definition
+ * @throws {Error} with a localized message when the data is not a usable definition
+ */
+export function validateClassDefinition(data) {
+  const fail = (key, params = {}) => { throw new Error(game.i18n.format(`DCCCS.Import.Invalid.${key}`, params)); };
+
+  if (!data || typeof data !== "object" || data.type !== CLASS_DEFINITION_TYPE) fail("Type");
+
+  const version = Number(data.schemaVersion);
+  if (!Number.isInteger(version) || version < 1) fail("Version", { version: data.schemaVersion });
+  if (version > CLASS_SCHEMA_VERSION) fail("Newer", { version });
+
+  const name = String(data.name ?? "").trim();
+  if (!name) fail("Name");
+
+  if (!Array.isArray(data.skills)) fail("Skills");
+  const imagePath = (value) => (typeof value === "string" && value.trim()) || null;
+  const skillImg = imagePath(data.skillImg);
+  const skills = data.skills.map((raw, index) => {
+    const row = index + 1;
+    if (!raw || typeof raw !== "object") fail("Skill", { row });
+    const skillName = String(raw.name ?? "").trim();
+    if (!skillName) fail("SkillName", { row });
+    const weight = Number(raw.weight ?? 0);
+    if (!Number.isInteger(weight) || weight < 0) fail("SkillWeight", { row, name: skillName });
+    const [minLevel, maxLevel] = [raw.minLevel, raw.maxLevel].map((level) => (level ? Number(level) : null));
+    if ([minLevel, maxLevel].some((level) => level !== null && (!Number.isInteger(level) || level < 1))
+      || (minLevel && maxLevel && maxLevel < minLevel)) {
+      fail("SkillLevel", { row, name: skillName });
+    }
+    const ability = String(raw.ability ?? "").trim().toLowerCase();
+    if (ability && !SKILL_ABILITIES.includes(ability)) fail("SkillAbility", { row, name: skillName, value: raw.ability });
+    // An empty die is fine for skills that don't roll one, as the builder allows
+    const config = pickSkillConfig(raw.config);
+    const rawDie = String(raw.die ?? DEFAULT_SKILL_DIE).trim();
+    const die = rawDie ? normalizeDie(rawDie) : "";
+    if (die === null || (config.useDie && !die)) fail("SkillDie", { row, name: skillName, value: rawDie });
+    return {
+      name: skillName,
+      weight,
+      minLevel,
+      maxLevel,
+      description: String(raw.description ?? ""),
+      img: imagePath(raw.img) ?? skillImg,
+      ability,
+      die,
+      value: ["string", "number"].includes(typeof raw.value) ? String(raw.value) : "",
+      config,
+      effect: normalizeFeatureEffect(raw.effect),
+      uses: normalizeUses(raw.uses),
+      table: normalizeSkillTable(raw.table)
+    };
+  });
+
+  const icon = String(data.icon ?? "").trim();
+  return {
+    type: CLASS_DEFINITION_TYPE,
+    schemaVersion: CLASS_SCHEMA_VERSION,
+    name,
+    icon: isIconClass(icon) ? icon.replace(/\s+/g, " ") : null,
+    description: String(data.description ?? "") || defaultClassDescription(name),
+    img: imagePath(data.img),
+    skillImg,
+    overview: normalizeOverview(data.overview),
+    resources: normalizeResources(data.resources),
+    skills,
+    equipment: normalizeEquipment(data.equipment),
+    progression: normalizeProgression(data.progression)
+  };
+}
+
+/**
+ * Item data for the (CUSTOMCLASS) naming skill of a definition. The progression table, the
+ * default skill image, the overview fields and the resource pools are always written (possibly
+ * empty) so that updating an existing naming item clears removed ones.
+ * @param {object} definition
+ * @returns {object}
+ */
+export function namingItemData(definition) {
+  const { name, flags } = namingItemFields(definition.name, definition.icon);
+  flags[MODULE_ID].progression = normalizeProgression(definition.progression);
+  flags[MODULE_ID].skillImg = definition.skillImg || null;
+  flags[MODULE_ID].overview = normalizeOverview(definition.overview);
+  flags[MODULE_ID].resources = normalizeResources(definition.resources);
+  return {
+    name,
+    type: "skill",
+    img: definition.img || DEFAULT_ITEM_IMG,
+    system: {
+      description: {
+        value: definition.description || defaultClassDescription(definition.name)
+      },
+      config: { ...NAMING_SKILL_CONFIG }
+    },
+    flags
+  };
+}
+
+/**
+ * Item data for one class skill of a definition: plain name, class metadata, uses and table in
+ * flags, and the feature effect (if any) as a disabled Active Effect. Generated tables must exist
+ * already (see ensureSkillTables).
+ * @param {string} className
+ * @param {object} skill - Definition skill entry
+ * @returns {object}
+ */
+export function skillItemData(className, skill) {
+  const { name, flags } = classSkillFields({ ...skill, className, skillName: skill.name });
+  flags[MODULE_ID].uses = normalizeUses(skill.uses);
+  flags[MODULE_ID].table = skill.table?.uuid ? { uuid: skill.table.uuid } : null;
+  return {
+    name,
+    flags,
+    type: "skill",
+    img: skill.img || DEFAULT_ITEM_IMG,
+    system: {
+      description: {
+        value: skill.description.trim() || `<p>${skill.name}</p>`
+      },
+      config: { ...DEFAULT_SKILL_CONFIG, ...skill.config },
+      ability: skill.ability ?? "",
+      die: skill.die || DEFAULT_SKILL_DIE,
+      value: skill.value ?? ""
+    },
+    effects: skill.effect ? [featureEffectData(skill.name, skill.img || DEFAULT_ITEM_IMG, skill.effect)] : []
+  };
+}
+
+/**
+ * Create the world Item folder for a class definition: the (CUSTOMCLASS) naming skill (carrying
+ * the progression table, if any), one class skill per definition entry and the starting kit.
+ * Skill tables given as results are created as world RollTables first.
+ * @param {object} definition - A validated class definition
+ * @param {object} [options]
+ * @param {string|null} [options.parentFolder] - Id of the Item folder to create the class in
+ * @returns {Promise<Folder>} the created folder
+ */
+export async function createClassFromDefinition(definition, { parentFolder = null } = {}) {
+  const folderData = {
+    name: definition.name,
+    type: "Item",
+    color: CLASS_FOLDER_COLOR
+  };
+  if (parentFolder) folderData.folder = parentFolder;
+
+  const folder = await Folder.create(folderData);
+  await ensureSkillTables(definition);
+
+  const namingSkill = namingItemData(definition);
+  const classSkills = definition.skills.map((s) => skillItemData(definition.name, s));
+  const kit = (definition.equipment ?? []).map((e) => equipmentItemData(definition.name, e));
+  for (const data of [namingSkill, ...classSkills, ...kit]) data.folder = folder.id;
+
+  // Create all items in one transaction
+  await Item.createDocuments([namingSkill, ...classSkills, ...kit]);
+  Hooks.callAll("dcccs.classCreated", folder, definition);
+  return folder;
+}
+
+/**
+ * Copy every item of a world class folder onto an actor. Kit items the actor already has are
+ * skipped (see grantEquipment) and named in a notification.
+ * Fires the "dcccs.classApplied" hook with (actor, { className, folder, items, skipped }).
+ * @param {Actor} actor
+ * @param {Folder} folder
+ * @returns {Promise<Item[]>} the created embedded items
+ */
+export async function applyClassFolder(actor, folder) {
+  const folderItems = game.items.filter((i) => i.folder?.id === folder.id);
+  const className = findClassItems(folderItems)?.name ?? folder.name;
+  const kitItems = folderItems.filter((i) => isKitItem(i, className));
+  const classItems = folderItems.filter((i) => !kitItems.includes(i));
+
+  const items = classItems.length
+    ? await actor.createEmbeddedDocuments("Item", classItems.map((i) => i.toObject()))
+    : [];
+  const { created, skipped } = await grantEquipment(actor, kitItems.map((i) => i.toObject()));
+  items.push(...created);
+  if (skipped.length) {
+    ui.notifications.info(game.i18n.format("DCCCS.Equipment.Skipped", { name: actor.name, items: skipped.join(", ") }));
+  }
+  Hooks.callAll("dcccs.classApplied", actor, { className, folder, items, skipped });
+  return items;
+}
+
+/**
+ * Download a class definition as a .json file.
+ * @param {object} definition
+ */
+export function exportClassDefinition(definition) {
+  const filename = `${definition.name.slugify({ strict: true }) || "custom-class"}.json`;
+  foundry.utils.saveDataToFile(JSON.stringify(definition, null, 2), "text/json", filename);
+}
+
+/**
+ * Ask the user for a class definition .json file, then read and validate it.
+ * Problems are reported through notifications.
+ * @returns {Promise<object|null>} the validated definition, or null if cancelled or invalid
+ */
+export async function importClassDefinitionFile() {
+  const { DialogV2 } = foundry.applications.api;
+  const file = await DialogV2.prompt({
+    window: { title: "DCCCS.Import.Title", icon: "fa-solid fa-file-import" },
+    content: `
+      <p>${game.i18n.localize("DCCCS.Import.Hint")}</p>
+      <div class="form-group">
+        <input type="file" name="definition" accept=".json,application/json" />
+      </div>`,
+    ok: {
+      label: "DCCCS.Import.Confirm",
+      icon: "fa-solid fa-file-import",
+      callback: (event, button) => button.form.elements.definition.files?.[0] ?? null
+    },
+    rejectClose: false
+  });
+  if (!file) return null;
+
+  try {
+    const text = await foundry.utils.readTextFromFile(file);
+    return validateClassDefinition(JSON.parse(text));
+  } catch (error) {
+    console.error(`[${MODULE_ID}] Error importing class definition:`, error);
+    const reason = error instanceof SyntaxError ? game.i18n.localize("DCCCS.Import.Invalid.Json") : error.message;
+    ui.notifications.error(game.i18n.format("DCCCS.Import.Error", { reason }));
+    return null;
+  }
+}
+
+/** Column order of bulk skill rows when the text has no header row */
+const SKILL_ROW_COLUMNS = ["name", "weight", "description", "die", "ability"];
+
+/** Full ability names accepted in bulk rows, mapped to DCC ability keys */
+const ABILITY_ALIASES = {
+  strength: "str",
+  agility: "agl",
+  stamina: "sta",
+  personality: "per",
+  intelligence: "int",
+  luck: "lck"
+};
+
+/**
+ * Split delimited text into records of cells. Supports "quoted" cells containing the
+ * delimiter, doubled "" quotes and line breaks.
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {Array<{ line: number, cells: string[] }>} records with their 1-based starting line
+ */
+function splitDelimited(text, delimiter) {
+  const records = [];
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    cells.push(cell);
+    if (cells.some((c) => c.trim())) records.push({ line: recordLine, cells });
+    cells = [];
+    cell = "";
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === "\n") line++;
+        cell += ch;
+      }
+    } else if (ch === '"' && !cell.trim()) {
+      quoted = true;
+      cell = "";
+    } else if (ch === delimiter) {
+      cells.push(cell);
+      cell = "";
+    } else if (ch === "\n") {
+      endRecord();
+      line++;
+      recordLine = line;
+    } else if (ch !== "\r") {
+      cell += ch;
+    }
+  }
+  endRecord();
+  return records;
+}
+
+/**
+ * Whether a bulk row description is HTML: it starts with a tag and parses into elements.
+ * Plain text such as "roll < 10" is not.
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isMarkup(text) {
+  if (!text.trimStart().startsWith("<")) return false;
+  const body = new DOMParser().parseFromString(text, "text/html").body;
+  return body.firstElementChild !== null && body.firstChild === body.firstElementChild;
+}
+
+/**
+ * Parse pasted CSV or tab-separated skill rows into definition skill entries.
+ * Columns are name, weight, description, die, ability — or any order given by a header row
+ * starting with "name". Tabs are used as the delimiter when the first line contains one.
+ * @param {string} text
+ * @returns {{ skills: Array<{ row: number, skill: object }>, errors: Array<{ row: number, message: string }> }}
+ */
+export function parseSkillRows(text) {
+  const skills = [];
+  const errors = [];
+  const source = (text ?? "").replace(/^\uFEFF/, "");
+  const delimiter = source.split("\n", 1)[0].includes("\t") ? "\t" : ",";
+
+  const records = splitDelimited(source, delimiter);
+  let columns = SKILL_ROW_COLUMNS;
+  if (records[0]?.cells[0]?.trim().toLowerCase() === "name") {
+    columns = records.shift().cells.map((c) => c.trim().toLowerCase());
+  }
+
+  for (const { line: row, cells } of records) {
+    const fields = {};
+    columns.forEach((column, index) => { fields[column] = (cells[index] ?? "").trim(); });
+    const error = (key, data = {}) => errors.push({ row, message: game.i18n.format(`DCCCS.Bulk.Error.${key}`, data) });
+
+    const name = (fields.name ?? "").replace(/\s+/g, " ");
+    if (!name) { error("Name"); continue; }
+
+    const weight = fields.weight ? Number(fields.weight) : 0;
+    if (!Number.isInteger(weight) || weight < 0) { error("Weight", { value: fields.weight }); continue; }
+
+    const die = normalizeDie(fields.die || DEFAULT_SKILL_DIE);
+    if (!die) { error("Die", { value: fields.die }); continue; }
+
+    let ability = (fields.ability ?? "").toLowerCase();
+    ability = ABILITY_ALIASES[ability] ?? ability;
+    if (ability && !SKILL_ABILITIES.includes(ability)) { error("Ability", { value: fields.ability }); continue; }
+
+    // Plain text descriptions become an escaped paragraph; HTML is kept as-is
+    const description = fields.description ?? "";
+    skills.push({
+      row,
+      skill: {
+        name,
+        weight,
+        description: description && !isMarkup(description) ? `<p>${foundry.utils.escapeHTML(description)}</p>` : description,
+        ability,
+        die
+      }
+    });
+  }
+
+  return { skills, errors };
+}
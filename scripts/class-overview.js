@@ -0,0 +1,127 @@
+// DCC Custom Class Sheet — class overview
+// The Custom Class tab opens with an overview of each class, read from its (CUSTOMCLASS) naming
+// item: icon, name, description (without the legacy icon line) and a few structured fields kept
+// in flags["dcc-custom-class-sheet"].overview: { hitDie, alignment, weaponTraining, languages }.
+// The fields travel with class definitions as "overview" (see class-definition.js).
+//
+// Dependencies: utils.js (class metadata and icon line), settings.js (card visibility)
+
+import { MODULE_ID } from "./init.js";
+import { getItemClassData, parseCustomClassIcon, stripCustomClassIcon } from "./utils.js";
+import { getCardRollMode } from "./settings.js";
+
+/** Structured overview fields, in display order */
+export const OVERVIEW_FIELDS = ["hitDie", "alignment", "weaponTraining", "languages"];
+
+/**
+ * Overview fields as trimmed strings; missing or invalid fields are empty.
+ * @param {object} [data]
+ * @returns {{ hitDie: string, alignment: string, weaponTraining: string, languages: string }}
+ */
+export function normalizeOverview(data) {
+  return Object.fromEntries(OVERVIEW_FIELDS.map((key) => {
+    const value = data?.[key];
+    return [key, typeof value === "string" || typeof value === "number" ? String(value).trim() : ""];
+  }));
+}
+
+/**
+ * The overview fields of a naming item.
+ * @param {Item|null} naming
+ * @returns {object} see normalizeOverview
+ */
+export function getClassOverview(naming) {
+  return normalizeOverview(naming?.flags?.[MODULE_ID]?.overview);
+}
+
+/**
+ * The filled-in overview fields with their labels.
+ * @param {object} overview - See normalizeOverview
+ * @returns {Array<{ key: string, label: string, value: string }>}
+ */
+export function overviewFieldList(overview) {
+  return OVERVIEW_FIELDS
+    .filter((key) => overview[key])
+    .map((key) => ({ key, label: game.i18n.localize(`DCCCS.Overview.Field.${key}`), value: overview[key] }));
+}
+
+/**
+ * A naming item's description without its icon line.
+ * @param {Item} naming
+ * @returns {string}
+ */
+export function classOverviewDescription(naming) {
+  return stripCustomClassIcon(naming.system?.description?.value ?? "");
+}
+
+/**
+ * Ask for new overview fields and description of a class, and save them on its naming item.
+ * A legacy icon line in the description is kept.
+ * @param {Item} naming
+ * @returns {Promise<Item|null>} the updated item, or null if cancelled
+ */
+export async function editClassOverview(naming) {
+  const { className } = getItemClassData(naming);
+  const overview = getClassOverview(naming);
+  const escape = foundry.utils.escapeHTML;
+  const fields = OVERVIEW_FIELDS.map((key) => `
+    <div class="form-group">
+      <label>${game.i18n.localize(`DCCCS.Overview.Field.${key}`)}</label>
+      <input type="text" name="${key}" value="${escape(overview[key])}" placeholder="${game.i18n.localize(`DCCCS.Overview.Placeholder.${key}`)}" />
+    </div>`).join("");
+
+  const { DialogV2 } = foundry.applications.api;
+  const data = await DialogV2.prompt({
+    window: { title: game.i18n.format("DCCCS.Overview.EditTitle", { className }), icon: "fa-solid fa-scroll" },
+    classes: ["dcc-class-overview-edit"],
+    position: { width: 560 },
+    content: `
+      ${fields}
+      <div class="form-group stacked">
+        <label>${game.i18n.localize("DCCCS.Overview.Description")}</label>
+        <prose-mirror name="description" value="${escape(classOverviewDescription(naming))}"></prose-mirror>
+      </div>`,
+    ok: {
+      label: "DCCCS.Overview.Save",
+      icon: "fa-solid fa-floppy-disk",
+      callback: (event, button) => new foundry.applications.ux.FormDataExtended(button.form).object
+    },
+    rejectClose: false
+  });
+  if (!data) return null;
+
+  const icon = parseCustomClassIcon(naming.system?.description?.value ?? "");
+  const description = String(data.description ?? "").trim();
+  return naming.update({
+    "system.description.value": icon && !getItemClassData(naming).fromFlags ? `<p>icon: ${icon}</p>${description}` : description,
+    [`flags.${MODULE_ID}.overview`]: normalizeOverview(data)
+  });
+}
+
+/**
+ * Post a class overview to chat (templates/class-overview-card.html), visible to whom the
+ * "cardVisibility" setting says.
+ * @param {Actor} actor
+ * @param {Item} naming
+ * @returns {Promise<ChatMessage>}
+ */
+export async function postClassOverviewToChat(actor, naming) {
+  const { className } = getItemClassData(naming);
+  const { TextEditor } = foundry.applications.ux;
+  const { renderTemplate } = foundry.applications.handlebars;
+  const content = await renderTemplate(`modules/${MODULE_ID}/templates/class-overview-card.html`, {
+    name: className,
+    img: naming.img || "icons/svg/item-bag.svg",
+    fields: overviewFieldList(getClassOverview(naming)),
+    // The card is one message for everyone who can see it, so secret blocks are left out
+    description: await TextEditor.enrichHTML(classOverviewDescription(naming), { relativeTo: naming, secrets: false })
+  });
+
+  const messageData = {
+    speaker: ChatMessage.getSpeaker({ actor }),
+    content,
+    flags: { core: { canPopout: true } }
+  };
+  ChatMessage.applyRollMode(messageData, getCardRollMode());
+  return ChatMessage.create(messageData);
+}
@@ -0,0 +1,201 @@
+// DCC Custom Class Sheet — removing, changing and restoring an actor's classes
+// Removing a class deletes its (CUSTOMCLASS) naming item and all of its skills. Unless told
+// otherwise, the deleted items are first kept as a snapshot in the actor's
+// flags["dcc-custom-class-sheet"].removedClasses (newest first, at most MAX_REMOVED_CLASSES), from
+// which the Custom Class tab offers a one-click restore. Changing a class removes the old one the
+// same way and applies a world class folder in its place.
+//
+// Dependencies: class-definition.js (finding and applying class items)
+
+import { MODULE_ID } from "./init.js";
+import { applyClassFolder, findClassItems } from "./class-definition.js";
+
+/** Number of removed-class snapshots kept per actor; older ones are dropped */
+export const MAX_REMOVED_CLASSES = 10;
+
+/**
+ * Snapshots of the classes removed from an actor, newest first.
+ * @param {Actor} actor
+ * @returns {Array<{ id: string, className: string, removedAt: number, items: object[] }>}
+ */
+export function getRemovedClasses(actor) {
+  const snapshots = actor.getFlag(MODULE_ID, "removedClasses");
+  return Array.isArray(snapshots) ? snapshots : [];
+}
+
+/**
+ * Replace the actor's removed-class snapshots.
+ * @param {Actor} actor
+ * @param {object[]} snapshots
+ * @returns {Promise<Actor>}
+ */
+function setRemovedClasses(actor, snapshots) {
+  return actor.setFlag(MODULE_ID, "removedClasses", snapshots.slice(0, MAX_REMOVED_CLASSES));
+}
+
+/**
+ * Delete one class from an actor: its naming item and all of its skills.
+ * Fires the "dcccs.classRemoved" hook with (actor, { className, items }), where `items` is the
+ * data of the deleted items.
+ * @param {Actor} actor
+ * @param {string} className
+ * @param {object} [options]
+ * @param {boolean} [options.snapshot=true] - Keep the deleted items for restoreRemovedClass()
+ * @returns {Promise<object[]>} data of the deleted items; empty if the actor does not have the class
+ */
+export async function removeClassFromActor(actor, className, { snapshot = true } = {}) {
+  const found = findClassItems(actor.items, { className });
+  if (!found) return [];
+  const classItems = [found.naming, ...found.skills.map(({ item }) => item)].filter(Boolean);
+  if (!classItems.length) return [];
+
+  const items = classItems.map((i) => i.toObject());
+  // Record the snapshot first, so a failed delete never loses the class
+  if (snapshot) {
+    const entry = { id: foundry.utils.randomID(), className: found.name, removedAt: Date.now(), items };
+    await setRemovedClasses(actor, [entry, ...getRemovedClasses(actor)]);
+  }
+  await actor.deleteEmbeddedDocuments("Item", classItems.map((i) => i.id));
+  Hooks.callAll("dcccs.classRemoved", actor, { className: found.name, items });
+  return items;
+}
+
+/**
+ * Whether an actor currently carries any item of a class.
+ * @param {Actor} actor
+ * @param {string} className
+ * @returns {boolean}
+ */
+export function actorHasClass(actor, className) {
+  const found = findClassItems(actor.items, { className });
+  return !!(found?.naming || found?.skills.length);
+}
+
+/**
+ * Re-create the items of a removed-class snapshot and drop the snapshot.
+ * A copy of the class the actor gained since is removed first (and snapshotted in turn).
+ * Fires the "dcccs.classRestored" hook with (actor, { className, items }).
+ * @param {Actor} actor
+ * @param {string} snapshotId
+ * @returns {Promise<Item[]>} the created items; empty if there is no such snapshot
+ */
+export async function restoreRemovedClass(actor, snapshotId) {
+  const snapshot = getRemovedClasses(actor).find((s) => s.id === snapshotId);
+  if (!snapshot) return [];
+
+  if (actorHasClass(actor, snapshot.className)) await removeClassFromActor(actor, snapshot.className);
+  const items = await actor.createEmbeddedDocuments("Item", snapshot.items);
+  await setRemovedClasses(actor, getRemovedClasses(actor).filter((s) => s.id !== snapshotId));
+  Hooks.callAll("dcccs.classRestored", actor, { className: snapshot.className, items });
+  return items;
+}
+
+/**
+ * Forget a removed-class snapshot.
+ * @param {Actor} actor
+ * @param {string} snapshotId
+ * @returns {Promise<Actor>}
+ */
+export function discardRemovedClass(actor, snapshotId) {
+  return setRemovedClasses(actor, getRemovedClasses(actor).filter((s) => s.id !== snapshotId));
+}
+
+/**
+ * Replace one of an actor's classes with the class of a world folder. The old class is removed
+ * with a snapshot; the new class takes over its tab position.
+ * @param {Actor} actor
+ * @param {string} className - Class to replace
+ * @param {Folder} folder - World class folder to apply instead
+ * @returns {Promise<Item[]>} the created items
+ */
+export async function changeActorClass(actor, className, folder) {
+  const oldNaming = findClassItems(actor.items, { className })?.naming;
+  const sort = oldNaming?.sort ?? null;
+  await removeClassFromActor(actor, className);
+
+  const items = await applyClassFolder(actor, folder);
+  const newNaming = findClassItems(items)?.naming;
+  if (newNaming && sort !== null) await newNaming.update({ sort });
+  return items;
+}
+
+/**
+ * World Item folders that hold a class, sorted by class name.
+ * @returns {Array<{ folder: Folder, className: string }>}
+ */
+export function getClassFolders() {
+  const classFolders = [];
+  for (const folder of game.folders) {
+    if (folder.type !== "Item") continue;
+    const found = findClassItems(game.items.filter((i) => i.folder?.id === folder.id));
+    if (found?.naming) classFolders.push({ folder, className: found.name });
+  }
+  return classFolders.sort((a, b) => a.className.localeCompare(b.className, undefined, { sensitivity: "base" }));
+}
+
+/**
+ * Ask whether to remove a class from an actor.
+ * @param {Actor} actor
+ * @param {string} className
+ * @returns {Promise<boolean>}
+ */
+export async function promptRemoveClass(actor, className) {
+  const { DialogV2 } = foundry.applications.api;
+  const confirmed = await DialogV2.confirm({
+    window: { title: "DCCCS.Removal.RemoveTitle", icon: "fa-solid fa-user-minus" },
+    content: `<p>${game.i18n.format("DCCCS.Removal.RemoveContent", { className, name: actor.name })}</p>`,
+    rejectClose: false
+  });
+  return confirmed === true;
+}
+
+/**
+ * Ask whether restoring a class may replace the copy of it the actor has now.
+ * @param {Actor} actor
+ * @param {string} className
+ * @returns {Promise<boolean>}
+ */
+export async function promptReplaceClass(actor, className) {
+  const { DialogV2 } = foundry.applications.api;
+  const confirmed = await DialogV2.confirm({
+    window: { title: "DCCCS.Removal.RestoreTitle", icon: "fa-solid fa-clock-rotate-left" },
+    content: `<p>${game.i18n.format("DCCCS.Removal.ReplaceContent", { className, name: actor.name })}</p>`,
+    rejectClose: false
+  });
+  return confirmed === true;
+}
+
+/**
+ * Ask which world class should replace one of an actor's classes.
+ * @param {Actor} actor
+ * @param {string} className - Class to replace
+ * @returns {Promise<Folder|null>} the chosen class folder, or null if cancelled
+ */
+export async function promptChangeClass(actor, className) {
+  const choices = getClassFolders().filter((c) => c.className.toLowerCase() !== className.toLowerCase());
+  if (!choices.length) {
+    ui.notifications.warn(game.i18n.localize("DCCCS.Removal.NoClasses"));
+    return null;
+  }
+
+  const { DialogV2 } = foundry.applications.api;
+  const options = choices
+    .map(({ folder, className: name }) => `<option value="${folder.id}">${foundry.utils.escapeHTML(name)}</option>`)
+    .join("");
+  const folderId = await DialogV2.prompt({
+    window: { title: "DCCCS.Removal.ChangeTitle", icon: "fa-solid fa-people-arrows" },
+    content: `
+      <p>${game.i18n.format("DCCCS.Removal.ChangeContent", { className, name: actor.name })}</p>
+      <div class="form-group">
+        <label>${game.i18n.localize("DCCCS.Removal.NewClass")}</label>
+        <select name="folderId">${options}</select>
+      </div>`,
+    ok: {
+      label: "DCCCS.Removal.Change",
+      icon: "fa-solid fa-people-arrows",
+      callback: (event, button) => button.form.elements.folderId.value
+    },
+    rejectClose: false
+  });
+  return folderId ? game.folders.get(folderId) ?? null : null;
+}
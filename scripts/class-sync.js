@@ -0,0 +1,327 @@
+// DCC Custom Class Sheet — editing classes in place
+// The builder can re-open an existing class: a world Item folder, or one class on an actor.
+// Saving compares the definition it started from ("before") with the edited one ("after"):
+//  - diffClassDefinitions() summarizes the change for the user
+//  - saveClassInPlace() updates, creates and deletes the source items, keeping their ids
+//  - applyClassChanges() replays the change on other actors that carry the class
+// Skills are matched across before/after by `sourceId` (the source item id, see
+// classDefinitionFromItems), and on other actors by their old skill name. Starting equipment added
+// by an edit is granted to other actors too, but equipment removed from the kit stays with them.
+
+import { MODULE_ID } from "./init.js";
+import { DEFAULT_ITEM_IMG, findClassItems, namingItemData, skillItemData } from "./class-definition.js";
+import { featureEffectFromItem, syncFeatureEffect } from "./features.js";
+import { ensureSkillTables } from "./skill-tables.js";
+import { equipmentItemData, grantEquipment, isKitItem } from "./equipment.js";
+
+/**
+ * Whether the rules of a skill changed between two definition entries (ignoring name and weight).
+ * A changed level range, image, feature effect, uses or table count as a rule change.
+ * @param {object} a
+ * @param {object} b
+ * @returns {boolean}
+ */
+function skillRulesChanged(a, b) {
+  return a.description !== b.description
+    || (a.img ?? null) !== (b.img ?? null)
+    || (a.minLevel ?? null) !== (b.minLevel ?? null)
+    || (a.maxLevel ?? null) !== (b.maxLevel ?? null)
+    || a.ability !== b.ability
+    || a.die !== b.die
+    || String(a.value ?? "") !== String(b.value ?? "")
+    || !foundry.utils.objectsEqual(a.config ?? {}, b.config ?? {})
+    || !foundry.utils.objectsEqual({ v: a.effect ?? null }, { v: b.effect ?? null })
+    || !foundry.utils.objectsEqual({ v: a.uses ?? null }, { v: b.uses ?? null })
+    || (a.table?.uuid ?? null) !== (b.table?.uuid ?? null)
+    || !foundry.utils.objectsEqual({ v: a.table?.results ?? [] }, { v: b.table?.results ?? [] });
+}
+
+/**
+ * Whether an item's module flags differ from the given ones. Only the given keys are compared,
+ * so flags added by other features survive.
+ * @param {Item} item
+ * @param {object} flags - flags[MODULE_ID] to compare with
+ * @returns {boolean}
+ */
+function moduleFlagsDiffer(item, flags) {
+  const current = item.flags?.[MODULE_ID] ?? {};
+  return Object.entries(flags).some(([key, value]) => !foundry.utils.objectsEqual({ v: current[key] ?? null }, { v: value ?? null }));
+}
+
+/**
+ * Summarize what an edit changed.
+ * @param {object} before - Definition the builder was loaded with (skills carry sourceId)
+ * @param {object} after - Edited definition (new skills have no sourceId)
+ * @returns {{
+ *   renamedClass: { from: string, to: string }|null,
+ *   classChanged: boolean,
+ *   added: string[],
+ *   removed: string[],
+ *   renamed: Array<{ from: string, to: string }>,
+ *   reweighted: Array<{ name: string, from: number, to: number }>,
+ *   updated: string[],
+ *   kitAdded: string[],
+ *   kitRemoved: string[],
+ *   hasChanges: boolean
+ * }}
+ */
+export function diffClassDefinitions(before, after) {
+  const beforeById = new Map(before.skills.filter((s) => s.sourceId).map((s) => [s.sourceId, s]));
+  const keptIds = new Set();
+  const diff = {
+    renamedClass: before.name !== after.name ? { from: before.name, to: after.name } : null,
+    classChanged: (before.icon || null) !== (after.icon || null)
+      || before.description !== after.description
+      || (before.img ?? null) !== (after.img ?? null)
+      || (before.skillImg ?? null) !== (after.skillImg ?? null)
+      || !foundry.utils.objectsEqual(before.overview ?? {}, after.overview ?? {})
+      || !foundry.utils.objectsEqual(before.resources ?? [], after.resources ?? [])
+      || !foundry.utils.objectsEqual(before.progression ?? [], after.progression ?? []),
+    added: [],
+    removed: [],
+    renamed: [],
+    reweighted: [],
+    updated: [],
+    kitAdded: (after.equipment ?? []).filter((e) => !e.sourceId).map((e) => e.name),
+    kitRemoved: (before.equipment ?? [])
+      .filter((e) => e.sourceId && !(after.equipment ?? []).some((a) => a.sourceId === e.sourceId))
+      .map((e) => e.name)
+  };
+
+  for (const skill of after.skills) {
+    const old = skill.sourceId ? beforeById.get(skill.sourceId) : null;
+    if (!old) {
+      diff.added.push(skill.name);
+      continue;
+    }
+    keptIds.add(skill.sourceId);
+    if (old.name !== skill.name) diff.renamed.push({ from: old.name, to: skill.name });
+    if (old.weight !== skill.weight) diff.reweighted.push({ name: skill.name, from: old.weight, to: skill.weight });
+    if (skillRulesChanged(old, skill)) diff.updated.push(skill.name);
+  }
+  for (const skill of before.skills) {
+    if (!keptIds.has(skill.sourceId)) diff.removed.push(skill.name);
+  }
+
+  diff.hasChanges = !!diff.renamedClass || diff.classChanged
+    || [diff.added, diff.removed, diff.renamed, diff.reweighted, diff.updated, diff.kitAdded, diff.kitRemoved]
+      .some((list) => list.length);
+  return diff;
+}
+
+/**
+ * Write an edited class back onto the items it was loaded from.
+ * @param {object} source - Where the class lives
+ * @param {Folder|null} [source.folder] - World Item folder of the class
+ * @param {Actor|null} [source.parent] - Actor owning the class items (null for world items)
+ * @param {string|null} [source.namingId] - Id of the (CUSTOMCLASS) item, if the class has one
+ * @param {object} before - Definition the builder was loaded with
+ * @param {object} after - Edited definition
+ * @returns {Promise<void>}
+ */
+export async function saveClassInPlace({ folder = null, parent = null, namingId = null }, before, after) {
+  // Fills in the uuids of newly generated tables, which applyClassChanges then passes on
+  await ensureSkillTables(after);
+  const operation = parent ? { parent } : {};
+  const updates = [];
+  const creates = [];
+
+  const naming = namingItemData(after);
+  if (namingId) {
+    updates.push({ _id: namingId, name: naming.name, img: naming.img, system: naming.system, flags: naming.flags });
+  } else if (!parent) {
+    // World classes always get a naming item. On actors the label may come from another
+    // class's naming item (e.g. "(CUSTOMCLASS)Ranger/Rogue"), so none is added there.
+    creates.push(naming);
+  }
+
+  const keptIds = new Set();
+  const effects = [];
+  for (const skill of after.skills) {
+    const data = skillItemData(after.name, skill);
+    if (skill.sourceId) {
+      effects.push([skill.sourceId, skill.effect]);
+      keptIds.add(skill.sourceId);
+      updates.push({ _id: skill.sourceId, name: data.name, img: data.img, system: data.system, flags: data.flags });
+    } else {
+      creates.push(data);
+    }
+  }
+  // Kit items are kept as they are, apart from the class name they belong to
+  const kitCreates = [];
+  for (const entry of after.equipment ?? []) {
+    if (!entry.sourceId) kitCreates.push(equipmentItemData(after.name, entry));
+    else if (before.name !== after.name) updates.push({ _id: entry.sourceId, [`flags.${MODULE_ID}.kit.className`]: after.name });
+  }
+  const deletes = [
+    ...before.skills.filter((s) => s.sourceId && !keptIds.has(s.sourceId)),
+    ...(before.equipment ?? []).filter((e) => e.sourceId && !(after.equipment ?? []).some((a) => a.sourceId === e.sourceId))
+  ].map((entry) => entry.sourceId);
+
+  // Actors get new kit items like applying a class grants them, without duplicates
+  if (!parent) creates.push(...kitCreates);
+  if (folder) for (const data of creates) data.folder = folder.id;
+
+  if (deletes.length) await Item.deleteDocuments(deletes, operation);
+  if (updates.length) await Item.updateDocuments(updates, operation);
+  if (creates.length) await Item.createDocuments(creates, operation);
+  if (parent && kitCreates.length) await grantEquipment(parent, kitCreates);
+  // Updates leave embedded effects alone, so kept skills get their feature effect separately
+  const collection = parent ? parent.items : game.items;
+  for (const [id, effect] of effects) {
+    const item = collection.get(id);
+    if (item) await syncFeatureEffect(item, effect);
+  }
+
+  // Keep the folder name in step with the class name unless the user named it differently
+  if (folder && before.name !== after.name && folder.name === before.name) {
+    await folder.update({ name: after.name });
+  }
+}
+
+/**
+ * Replay an edit on an actor that carries the class. Class rules (names, weights, descriptions,
+ * die, ability, config) follow the edit; per-actor state such as lastResult is never touched, and
+ * a skill's value only follows the class when the actor still has the old class value. Equipment
+ * added to the kit is granted unless the actor has it already; removed equipment is kept.
+ * @param {Actor} actor
+ * @param {object} before - Definition the builder was loaded with
+ * @param {object} after - Edited definition
+ * @returns {Promise<boolean>} true if the actor was changed
+ */
+export async function applyClassChanges(actor, before, after) {
+  const found = findClassItems(actor.items, { className: before.name });
+  const byName = new Map(found.skills.map(({ item, parsed }) => [parsed.skillName.toLowerCase(), item]));
+  const beforeById = new Map(before.skills.filter((s) => s.sourceId).map((s) => [s.sourceId, s]));
+
+  const updates = [];
+  const creates = [];
+  const keptIds = new Set();
+  const effects = [];
+
+  for (const skill of after.skills) {
+    const old = skill.sourceId ? beforeById.get(skill.sourceId) : null;
+    if (old) keptIds.add(skill.sourceId);
+    const item = byName.get((old ?? skill).name.toLowerCase());
+    const data = skillItemData(after.name, skill);
+
+    if (!item) {
+      // Only newly added skills are created; a missing existing skill was removed from this actor on purpose
+      if (!old) creates.push(data);
+      continue;
+    }
+
+    const update = { _id: item.id };
+    if (item.name !== data.name) update.name = data.name;
+    // Also converts skills that still encode their class in the name
+    if (moduleFlagsDiffer(item, data.flags[MODULE_ID])) update[`flags.${MODULE_ID}`] = data.flags[MODULE_ID];
+    if ((item.system.description?.value ?? "") !== data.system.description.value) {
+      update["system.description.value"] = data.system.description.value;
+    }
+    for (const key of ["ability", "die"]) {
+      if ((item.system[key] ?? "") !== data.system[key]) update[`system.${key}`] = data.system[key];
+    }
+    // Compare only the config keys the class defines; DCC may store more
+    if (Object.entries(data.system.config).some(([key, value]) => item.system.config?.[key] !== value)) {
+      update["system.config"] = data.system.config;
+    }
+    // Like values below, an image the character changed is kept
+    if (item.img !== data.img && (!old || item.img === (old.img || DEFAULT_ITEM_IMG))) update.img = data.img;
+    const oldValue = String(old?.value ?? "");
+    if (old && String(item.system.value ?? "") === oldValue && oldValue !== String(skill.value ?? "")) {
+      update["system.value"] = skill.value;
+    }
+    if (Object.keys(update).length > 1) updates.push(update);
+    effects.push([item, skill.effect]);
+  }
+
+  const deletes = before.skills
+    .filter((s) => s.sourceId && !keptIds.has(s.sourceId))
+    .map((s) => byName.get(s.name.toLowerCase())?.id)
+    .filter(Boolean);
+
+  if (found.naming) {
+    const naming = namingItemData(after);
+    const changed = found.naming.name !== naming.name
+      || found.naming.img !== naming.img
+      || (found.naming.system.description?.value ?? "") !== naming.system.description.value
+      || moduleFlagsDiffer(found.naming, naming.flags[MODULE_ID]);
+    if (changed) {
+      updates.push({
+        _id: found.naming.id,
+        name: naming.name,
+        img: naming.img,
+        system: { description: naming.system.description },
+        flags: naming.flags
+      });
+    }
+  }
+
+  if (before.name !== after.name) {
+    for (const item of actor.items.filter((i) => isKitItem(i, before.name))) {
+      updates.push({ _id: item.id, [`flags.${MODULE_ID}.kit.className`]: after.name });
+    }
+  }
+
+  if (deletes.length) await actor.deleteEmbeddedDocuments("Item", deletes);
+  if (updates.length) await actor.updateEmbeddedDocuments("Item", updates);
+  if (creates.length) await actor.createEmbeddedDocuments("Item", creates);
+  const kitData = (after.equipment ?? []).filter((e) => !e.sourceId).map((e) => equipmentItemData(after.name, e));
+  const { created: granted } = await grantEquipment(actor, kitData);
+  let effectsChanged = false;
+  for (const [item, effect] of effects) {
+    if (!foundry.utils.objectsEqual({ v: featureEffectFromItem(item) }, { v: effect ?? null })) {
+      await syncFeatureEffect(item, effect ?? null);
+      effectsChanged = true;
+    }
+  }
+  return !!(deletes.length || updates.length || creates.length || granted.length || effectsChanged);
+}
+
+/**
+ * World actors that carry a class, either through its naming item or its prefixed skills.
+ * @param {string} className
+ * @returns {Actor[]}
+ */
+export function findActorsWithClass(className) {
+  return game.actors.filter((actor) => {
+    const found = findClassItems(actor.items, { className });
+    return !!found.naming || found.skills.length > 0;
+  });
+}
+
+/**
+ * Show what an edit changed and let the user pick actors to push it to.
+ * @param {object} diff - Result of diffClassDefinitions
+ * @param {Actor[]} actors - Candidate actors
+ * @returns {Promise<string[]>} ids of the actors the user chose
+ */
+export async function promptApplyClassChanges(diff, actors) {
+  const { DialogV2 } = foundry.applications.api;
+  const { renderTemplate } = foundry.applications.handlebars;
+
+  const content = await renderTemplate(`modules/${MODULE_ID}/templates/class-diff.html`, {
+    diff,
+    actors: actors.map((a) => ({ id: a.id, name: a.name }))
+  });
+
+  const buttons = [{ action: "close", label: "DCCCS.Diff.Close", icon: "fa-solid fa-xmark" }];
+  if (actors.length) {
+    buttons.unshift({
+      action: "apply",
+      label: "DCCCS.Diff.Apply",
+      icon: "fa-solid fa-users",
+      default: true,
+      callback: (event, button) => [...button.form.querySelectorAll("input[name='actorIds']:checked")].map((i) => i.value)
+    });
+  }
+
+  const result = await DialogV2.wait({
+    window: { title: "DCCCS.Diff.Title", icon: "fa-solid fa-code-compare" },
+    position: { width: 460 },
+    content,
+    buttons,
+    rejectClose: false
+  });
+  return Array.isArray(result) ? result : [];
+}
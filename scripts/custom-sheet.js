@@ -6,20 +6,70 @@
 //   This avoids a direct cross-module import — Foundry v14 blocks those with a MIME type error.
 // - CLASS_PARTS overrides the tabs template and adds our custom-class panel.
 //   All other PARTS are inherited from DCCActorSheetGeneric via the prototype chain.
-// - Tab label comes only from a (CUSTOMCLASS)Name skill present on the actor.
+// - Tab label comes only from a (CUSTOMCLASS)Name skill present on the actor. Every further
+//   (CUSTOMCLASS) skill adds a tab of its own (multi-class characters); all tabs are rendered
+//   by the one customClass part.
 //
-// Dependencies: init.js (constants), utils.js (parsers & helpers), class-builder.js (builder dialog)
+// Dependencies: init.js (constants), utils.js (parsers & helpers), class-builder.js (builder dialog),
+//               class-definition.js (JSON export), progression.js (level tables),
+//               settings.js (group layout), skill-order.js (drag-and-drop reordering),
+//               class-removal.js (removing, changing and restoring classes),
+//               tab-filter.js (filter box and collapsible groups),
+//               class-overview.js (class overview header), skill-card.js (chat cards)
 
 import { MODULE_ID } from "./init.js";
 import {
   groupActorSkills,
-  getCustomClassLabel,
+  getItemClassData,
+  getNamingItems,
   getCustomClassIcon,
-  postSkillToChat,
 } from "./utils.js";
 import { CustomClassBuilder } from "./class-builder.js";
+import { applyClassFolder, classDefinitionFromItems, exportClassDefinition, findClassItems } from "./class-definition.js";
+import { applyProgression, getActorProgressionRow } from "./progression.js";
+import { getOccupationalLabel, getOccupationalMode, getSortMode } from "./settings.js";
+import { SKILL_DRAG_TYPE, planSkillDrop } from "./skill-order.js";
+import {
+  actorHasClass,
+  changeActorClass,
+  discardRemovedClass,
+  getRemovedClasses,
+  promptChangeClass,
+  promptRemoveClass,
+  promptReplaceClass,
+  removeClassFromActor,
+  restoreRemovedClass,
+} from "./class-removal.js";
+import {
+  applySkillFilter,
+  getCollapsedGroups,
+  groupKey,
+  isRollableSkill,
+  setGroupCollapsed,
+  skillSearchText,
+} from "./tab-filter.js";
+import {
+  classOverviewDescription,
+  editClassOverview,
+  getClassOverview,
+  overviewFieldList,
+  postClassOverviewToChat,
+} from "./class-overview.js";
+import { hasFeatureEffects, isFeatureActive, toggleFeature } from "./features.js";
+import {
+  getClassResources,
+  getSkillUses,
+  hasTrackedUses,
+  offerSkillUse,
+  restActor,
+  spendResource,
+  spendSkillUse,
+} from "./resources.js";
+import { rollSkillCheck, rollSkillOnTable, systemFindsSkill } from "./skill-tables.js";
+import { postSkillCard } from "./skill-card.js";
 
 const TAB_ID = "dccCustomClass";
+const OCCUPATIONAL_TAB_ICON = "fa-solid fa-briefcase";
 const REGISTER_TYPE = "Player";
 
 console.log(`[${MODULE_ID}] custom-sheet.js: module evaluating`);
@@ -71,137 +121,712 @@ Hooks.once("ready", () => {
         classes: ["dcc-custom-class-sheet"],
       }
 
+      /**
+       * The Custom Class tabs of this actor: the primary "customClass" tab, one more per extra
+       * naming item (multi-class characters), and the occupational tab when configured.
+       * @returns {Array<{ id: string, label: string, icon: string, className: string|null, naming: Item|null,
+       *   isPrimary: boolean, isOccupational: boolean }>}
+       */
+      _getClassTabs() {
+        const [primary, ...others] = getNamingItems(this.actor);
+        const primaryClass = primary ? getItemClassData(primary).className : null;
+        const classTabs = [{
+          id: "customClass",
+          label: primaryClass || game.i18n?.localize?.("DCCCS.TabLabel") || "Custom Class",
+          icon: getCustomClassIcon(this.actor, primary ?? null),
+          className: primaryClass,
+          naming: primary ?? null,
+          isPrimary: true,
+          isOccupational: false
+        }];
+        for (const namingItem of others) {
+          const { className } = getItemClassData(namingItem);
+          classTabs.push({
+            id: `customClass-${namingItem.id}`,
+            label: className,
+            icon: getCustomClassIcon(this.actor, namingItem),
+            className,
+            naming: namingItem,
+            isPrimary: false,
+            isOccupational: false
+          });
+        }
+
+        const hasOccupational = this.actor.items.some((i) => (i.type ?? "").toLowerCase() === "skill" && !getItemClassData(i));
+        if (getOccupationalMode() === "tab" && hasOccupational) {
+          classTabs.push({
+            id: "customClass-occupational",
+            label: getOccupationalLabel(),
+            icon: OCCUPATIONAL_TAB_ICON,
+            className: null,
+            naming: null,
+            isPrimary: false,
+            isOccupational: true
+          });
+        }
+        return classTabs;
+      }
+
       /** @inheritdoc */
       _getTabsConfig(group) {
-        const tabs = super._getTabsConfig(group);
-        if (group !== "sheet") return tabs;
+        const config = super._getTabsConfig(group);
+        if (group !== "sheet") return config;
 
-        const customTab = tabs.tabs?.find(t => t.id === "customClass");
-        if (customTab) {
-          const label = getCustomClassLabel(this.actor);
-          const icon = getCustomClassIcon(this.actor);
-          customTab.label = label || game.i18n?.localize?.("DCCCS.TabLabel") || "Custom Class";
-          customTab.icon = icon;
-        }
+        const tabs = config.tabs?.map((t) => ({ ...t })) ?? [];
+        const index = tabs.findIndex((t) => t.id === "customClass");
+        if (index < 0) return config;
+
+        const [primary, ...others] = this._getClassTabs();
+        Object.assign(tabs[index], { label: primary.label, icon: primary.icon });
+        tabs.splice(index + 1, 0, ...others.map(({ id, label, icon }) => ({ id, group: "sheet", label, icon })));
 
-        return tabs;
+        // A class tab whose naming item was removed falls back to the primary tab
+        const active = this.tabGroups.sheet;
+        if (active?.startsWith("customClass-") && !others.some((t) => t.id === active)) this.tabGroups.sheet = "customClass";
+
+        return { ...config, tabs };
       }
 
       /** @inheritdoc */
       async _prepareContext(options) {
         const context = await super._prepareContext(options);
 
-        const label = getCustomClassLabel(this.actor) || game.i18n?.localize?.("DCCCS.TabLabel") || "Custom Class";
+        const classTabs = this._getClassTabs();
+        const primaryTab = classTabs[0];
+        const occupationalTab = classTabs.find((t) => t.isOccupational);
+        const tabByClass = new Map(
+          classTabs.filter((t) => t.className).map((t) => [t.className.toLowerCase(), t])
+        );
 
         const { grouped, occupational } = groupActorSkills(this.actor);
 
-        const classLabel = getCustomClassLabel(this.actor);
+        // Within each tab, the group of the tab's own class comes first, then the rest alphabetically
+        const tabOf = (className) => tabByClass.get(className.toLowerCase()) ?? primaryTab;
         const sortedGroupNames = Object.keys(grouped).sort((a, b) => {
-          if (classLabel) {
-            const aMatches = a.toLowerCase() === classLabel.toLowerCase();
-            const bMatches = b.toLowerCase() === classLabel.toLowerCase();
-            if (aMatches && !bMatches) return -1;
-            if (!aMatches && bMatches) return 1;
-          }
+          const aMatches = a.toLowerCase() === tabOf(a).className?.toLowerCase();
+          const bMatches = b.toLowerCase() === tabOf(b).className?.toLowerCase();
+          if (aMatches && !bMatches) return -1;
+          if (!aMatches && bMatches) return 1;
           return a.localeCompare(b, undefined, { sensitivity: "base" });
         });
 
-        const { TextEditor } = foundry.applications.ux;
+        // Wrappers are built synchronously; tooltips are filled in below, enriching in parallel
+        const tooltipJobs = [];
+        const wrapSkill = (item, displayName, { weight = 0, minLevel = null, maxLevel = null, lock = null } = {}) => {
+          const wrapper = {
+            item,
+            displayName,
+            weight,
+            levels: { minLevel, maxLevel },
+            lock,
+            lockLabel: lock ? game.i18n.format(`DCCCS.Locked.${lock.reason === "min" ? "Unlocks" : "Expired"}`, { level: lock.level }) : "",
+            rollable: !lock && isRollableSkill(item),
+            hasEffects: hasFeatureEffects(item),
+            featureActive: isFeatureActive(item),
+            featureLabel: game.i18n.localize(`DCCCS.Feature.${isFeatureActive(item) ? "Deactivate" : "Activate"}`),
+            uses: lock ? null : getSkillUses(item, this.actor),
+            hasTable: !!item.flags?.[MODULE_ID]?.table?.uuid,
+            tooltipContent: "",
+            searchText: ""
+          };
+          tooltipJobs.push(this._getEnrichedDescription(item).then((enrichedDesc) => {
+            const lockLine = lock ? `<p><em>${wrapper.lockLabel}</em></p>` : "";
+            wrapper.tooltipContent = `<h3>${displayName}</h3>${lockLine}${enrichedDesc}`;
+            wrapper.searchText = skillSearchText(displayName, enrichedDesc);
+          }));
+          return wrapper;
+        };
 
+        // Groups of all tabs in one list; `index` is the position drag-and-drop refers to
         const groupsData = [];
+        const collapsedGroups = getCollapsedGroups(this.actor);
+        const tabGroups = new Map(classTabs.map((t) => [t, []]));
         for (const className of sortedGroupNames) {
-          const skillWrappers = [];
-          for (const { item, parsed } of grouped[className]) {
-            const descriptionHTML = item.system?.description?.value || "";
-            const enrichedDesc = await TextEditor.enrichHTML(descriptionHTML, {
-              relativeTo: item,
-              secrets: this.actor.isOwner
-            });
-            skillWrappers.push({
-              item,
-              displayName: parsed.skillName,
-              tooltipContent: `<h3>${parsed.skillName}</h3>${enrichedDesc}`
-            });
-          }
-          groupsData.push({ className, skills: skillWrappers });
+          const skillWrappers = grouped[className].map(({ item, parsed, lock }) => wrapSkill(item, parsed.skillName, { ...parsed, lock }));
+          const groupData = { className, isClass: true, skills: skillWrappers, index: groupsData.length };
+          groupData.key = groupKey(groupData);
+          groupData.collapsed = collapsedGroups.has(groupData.key);
+          groupsData.push(groupData);
+          tabGroups.get(tabOf(className)).push(groupData);
         }
 
-        if (occupational.length > 0) {
-          const occupationalWrappers = [];
-          for (const item of occupational) {
-            const descriptionHTML = item.system?.description?.value || "";
-            const enrichedDesc = await TextEditor.enrichHTML(descriptionHTML, {
-              relativeTo: item,
-              secrets: this.actor.isOwner
-            });
-            occupationalWrappers.push({
-              item,
-              displayName: item.name,
-              tooltipContent: `<h3>${item.name}</h3>${enrichedDesc}`
-            });
-          }
-          groupsData.push({
-            className: game.i18n.localize("DCCCS.OccupationalSkills"),
-            skills: occupationalWrappers
-          });
+        const occupationalMode = getOccupationalMode();
+        if (occupational.length > 0 && occupationalMode !== "hidden") {
+          const occupationalGroup = {
+            className: getOccupationalLabel(),
+            isClass: false,
+            skills: occupational.map((item) => wrapSkill(item, item.name)),
+            index: groupsData.length
+          };
+          occupationalGroup.key = groupKey(occupationalGroup);
+          occupationalGroup.collapsed = collapsedGroups.has(occupationalGroup.key);
+          groupsData.push(occupationalGroup);
+          const primaryGroups = tabGroups.get(primaryTab);
+          if (occupationalTab) tabGroups.get(occupationalTab).push(occupationalGroup);
+          else if (occupationalMode === "top") primaryGroups.unshift(occupationalGroup);
+          else primaryGroups.push(occupationalGroup);
         }
 
+        // Class overview of each tab with a naming item; collapsed like a group
+        const { TextEditor } = foundry.applications.ux;
+        const overviews = new Map(await Promise.all(classTabs.filter((t) => t.naming).map(async (t) => {
+          const key = `overview:${t.className.toLowerCase()}`;
+          return [t, {
+            namingId: t.naming.id,
+            className: t.className,
+            icon: t.icon,
+            description: await TextEditor.enrichHTML(classOverviewDescription(t.naming), {
+              relativeTo: t.naming,
+              secrets: this.actor.isOwner
+            }),
+            fields: overviewFieldList(getClassOverview(t.naming)),
+            key,
+            collapsed: collapsedGroups.has(key)
+          }];
+        })));
+
+        await Promise.all(tooltipJobs);
+        this._pruneTooltipCache();
+
+        const progression = getActorProgressionRow(this.actor);
+        const removedClasses = this.isEditable
+          ? getRemovedClasses(this.actor).map(({ id, className, removedAt, items }) => ({
+            id,
+            className,
+            count: items.length,
+            removedAt: new Date(removedAt).toLocaleString(game.i18n.lang)
+          }))
+          : [];
+
         const vm = {
-          tabLabel: label,
+          tabLabel: primaryTab.label,
           groups: groupsData,
+          classTabs: classTabs.map((t) => ({
+            ...t,
+            cssClass: context.tabs?.[t.id]?.cssClass ?? "",
+            groups: tabGroups.get(t),
+            hasGroups: tabGroups.get(t).length > 0,
+            overview: overviews.get(t) ?? null,
+            resources: t.naming ? getClassResources(t.naming, this.actor) : [],
+            // Resting resets the whole character, so it is offered once
+            canRest: t.isPrimary && this.isEditable && hasTrackedUses(this.actor),
+            // The progression table belongs to the primary class
+            progression: t.isPrimary && progression.hasProgression ? progression : null,
+            // Snapshots of removed classes are offered for restore on the primary tab
+            removedClasses: t.isPrimary ? removedClasses : []
+          })),
           hasGroups: groupsData.length > 0,
+          skillFilter: this._dcccsFilter
         };
 
         this.__dcccsViewModel = vm;
         return { ...context, tabId: TAB_ID, ...vm };
       }
 
-      /** @inheritdoc */
-      _onRender(context, options) {
-        super._onRender(context, options);
+      /**
+       * Click handlers for data-action elements inside the Custom Class tab. They are dispatched by
+       * our own listener (see _attachPartListeners), which stops the click before it reaches the
+       * base sheet's action handling.
+       */
+      static CUSTOM_CLASS_ACTIONS = {
+        launchBuilder: DCCActorSheetCustom.prototype._onLaunchBuilder,
+        postSkillToChat: DCCActorSheetCustom.prototype._onPostSkillToChat,
+        applyProgression: DCCActorSheetCustom.prototype._onApplyProgression,
+        editClass: DCCActorSheetCustom.prototype._onEditClass,
+        exportClass: DCCActorSheetCustom.prototype._onExportClass,
+        removeClass: DCCActorSheetCustom.prototype._onRemoveClass,
+        changeClass: DCCActorSheetCustom.prototype._onChangeClass,
+        restoreClass: DCCActorSheetCustom.prototype._onRestoreClass,
+        discardRemovedClass: DCCActorSheetCustom.prototype._onDiscardRemovedClass,
+        toggleGroup: DCCActorSheetCustom.prototype._onToggleGroup,
+        toggleOverview: DCCActorSheetCustom.prototype._onToggleOverview,
+        editOverview: DCCActorSheetCustom.prototype._onEditOverview,
+        postClassToChat: DCCActorSheetCustom.prototype._onPostClassToChat,
+        toggleFeature: DCCActorSheetCustom.prototype._onToggleFeature,
+        rollSkillCheck: DCCActorSheetCustom.prototype._onRollSkillCheck,
+        spendUse: DCCActorSheetCustom.prototype._onSpendUse,
+        spendResource: DCCActorSheetCustom.prototype._onSpendResource,
+        rest: DCCActorSheetCustom.prototype._onRest
+      }
 
-        const tabPanel = this.element.querySelector(`section[data-tab="customClass"]`);
-        if (!tabPanel) {
-          console.warn(`[${MODULE_ID}] Custom class tab panel not found`);
-          return;
+      /** Filter of the Custom Class tab while this sheet is open (see tab-filter.js) */
+      _dcccsFilter = { text: "", rollableOnly: false };
+
+      /** Hook registrations that keep the tab in sync with the actor's items, as [hook, id] pairs */
+      _dcccsItemHooks = [];
+
+      /**
+       * Re-render only the tab navigation and our panel. Debounced so that creating a whole
+       * class folder (many items at once) results in a single render.
+       */
+      _refreshCustomClass = foundry.utils.debounce(() => {
+        if (this.rendered) this.render({ parts: ["tabs", "customClass"] });
+      }, 50);
+
+      /**
+       * Enriched skill descriptions by item id: { stamp, source, secrets, html }.
+       * An entry is reused until the item is modified (its modifiedTime) or its description text
+       * differs, so a re-render only enriches changed skills.
+       */
+      _dcccsTooltipCache = new Map();
+
+      /**
+       * Enriched description HTML of a skill, from the tooltip cache when the item is unchanged.
+       * @param {Item} item
+       * @returns {Promise<string>}
+       */
+      async _getEnrichedDescription(item) {
+        const stamp = item._stats?.modifiedTime ?? null;
+        const secrets = this.actor.isOwner;
+        const descriptionHTML = item.system?.description?.value || "";
+        const cached = this._dcccsTooltipCache.get(item.id);
+        if (cached && cached.stamp === stamp && cached.source === descriptionHTML && cached.secrets === secrets) {
+          return cached.html;
         }
 
-        tabPanel.addEventListener("click", async (ev) => {
-          const btn = ev.target.closest?.('[data-action="launchBuilder"]');
-          if (!btn) return;
+        const { TextEditor } = foundry.applications.ux;
+        const html = await TextEditor.enrichHTML(descriptionHTML, {
+          relativeTo: item,
+          secrets
+        });
+        this._dcccsTooltipCache.set(item.id, { stamp, source: descriptionHTML, secrets, html });
+        return html;
+      }
+
+      /** Drop cached tooltips of items that are no longer on the actor. */
+      _pruneTooltipCache() {
+        for (const itemId of this._dcccsTooltipCache.keys()) {
+          if (!this.actor.items.has(itemId)) this._dcccsTooltipCache.delete(itemId);
+        }
+      }
+
+      /** @inheritdoc */
+      _onFirstRender(context, options) {
+        super._onFirstRender(context, options);
+
+        // Adding a (CUSTOMCLASS) item, renaming a prefix or editing an icon line changes the tab
+        // label, the groups and the tooltips — refresh on any skill change of this actor.
+        const onItemChange = (item) => {
+          if (item.parent !== this.actor) return;
+          if ((item.type ?? "").toLowerCase() !== "skill") return;
+          this._refreshCustomClass();
+        };
+        // Switching a class feature changes the effects embedded in one of its skills
+        const onEffectChange = (effect) => {
+          if (effect.parent?.parent === this.actor) onItemChange(effect.parent);
+        };
+        this._dcccsItemHooks = [
+          ...["createItem", "updateItem", "deleteItem"].map((hook) => [hook, Hooks.on(hook, onItemChange)]),
+          ...["createActiveEffect", "updateActiveEffect", "deleteActiveEffect"].map((hook) => [hook, Hooks.on(hook, onEffectChange)])
+        ];
+      }
+
+      /** @inheritdoc */
+      _onClose(options) {
+        super._onClose(options);
+        for (const [hook, id] of this._dcccsItemHooks) Hooks.off(hook, id);
+        this._dcccsItemHooks = [];
+      }
+
+      /** @inheritdoc */
+      _attachPartListeners(partId, htmlElement, options) {
+        super._attachPartListeners(partId, htmlElement, options);
+        // Only bind when our panel itself was (re-)rendered, so partial renders of other
+        // parts never stack a second listener on the same element
+        if (partId !== "customClass") return;
+
+        htmlElement.addEventListener("click", (ev) => {
+          const btn = ev.target.closest?.("[data-action]");
+          const handler = btn && DCCActorSheetCustom.CUSTOM_CLASS_ACTIONS[btn.dataset.action];
+          if (!handler) return;
           ev.preventDefault();
           ev.stopPropagation();
-          new CustomClassBuilder(this.actor).render(true);
+          handler.call(this, ev, btn);
+        });
+
+        this._attachFilterListeners(htmlElement);
+        if (this.isEditable) this._attachSkillDragListeners(htmlElement);
+      }
+
+      /**
+       * The filter box and "rollable only" toggle of each Custom Class tab. They filter the rendered
+       * rows in place and share one filter, so switching tabs keeps it.
+       * @param {HTMLElement} htmlElement - The customClass part
+       */
+      _attachFilterListeners(htmlElement) {
+        const update = () => {
+          for (const input of htmlElement.querySelectorAll(".ccc-filter-text")) input.value = this._dcccsFilter.text;
+          for (const toggle of htmlElement.querySelectorAll(".ccc-filter-rollable")) toggle.checked = this._dcccsFilter.rollableOnly;
+          applySkillFilter(htmlElement, this._dcccsFilter);
+        };
+        for (const input of htmlElement.querySelectorAll(".ccc-filter-text")) {
+          input.addEventListener("input", (ev) => {
+            this._dcccsFilter.text = ev.target.value;
+            update();
+          });
+        }
+        for (const toggle of htmlElement.querySelectorAll(".ccc-filter-rollable")) {
+          toggle.addEventListener("change", (ev) => {
+            this._dcccsFilter.rollableOnly = ev.target.checked;
+            update();
+          });
+        }
+        // The filter controls have no name and are not part of the actor's data; keep their
+        // changes away from the sheet's submit-on-change form handling
+        for (const control of htmlElement.querySelectorAll(".ccc-filter-bar input")) {
+          control.addEventListener("change", (ev) => ev.stopPropagation());
+        }
+        applySkillFilter(htmlElement, this._dcccsFilter);
+      }
+
+      /**
+       * Drag-and-drop of skill rows within and between the tab's groups. Drags started here carry
+       * SKILL_DRAG_TYPE; drops of those are handled in the capture phase and never reach the base
+       * sheet, while any other drop (items from the sidebar, other sheets) passes through untouched.
+       * @param {HTMLElement} htmlElement - The customClass part
+       */
+      _attachSkillDragListeners(htmlElement) {
+        const clearIndicators = () => {
+          for (const el of htmlElement.querySelectorAll(".ccc-drop-before, .ccc-drop-after, .ccc-drop-target")) {
+            el.classList.remove("ccc-drop-before", "ccc-drop-after", "ccc-drop-target");
+          }
+        };
+        const dropPosition = (ev) => {
+          const list = ev.target.closest?.("[data-group-index]");
+          if (!list) return null;
+          const row = ev.target.closest("li.item[data-item-id]");
+          const before = row ? ev.clientY < row.getBoundingClientRect().top + row.offsetHeight / 2 : false;
+          return { list, row, before };
+        };
+        const isSkillDrag = (ev) => ev.dataTransfer?.types.includes(SKILL_DRAG_TYPE);
+
+        htmlElement.addEventListener("dragstart", (ev) => {
+          const row = ev.target.closest?.("li.item[data-item-id]");
+          const item = row && this.actor.items.get(row.dataset.itemId);
+          if (!item) return;
+          ev.dataTransfer.setData(SKILL_DRAG_TYPE, item.uuid);
+          // Keep the row droppable elsewhere (other sheets, the sidebar) when the base sheet set no data
+          if (!ev.dataTransfer.getData("text/plain")) {
+            ev.dataTransfer.setData("text/plain", JSON.stringify(item.toDragData()));
+          }
         });
 
-        tabPanel.addEventListener("click", async (ev) => {
-          const btn = ev.target.closest?.('[data-action="postSkillToChat"]');
-          if (!btn) return;
+        htmlElement.addEventListener("dragover", (ev) => {
+          if (!isSkillDrag(ev)) return;
+          const position = dropPosition(ev);
+          if (!position) return;
+          ev.preventDefault();
+          clearIndicators();
+          if (position.row) position.row.classList.add(position.before ? "ccc-drop-before" : "ccc-drop-after");
+          else position.list.classList.add("ccc-drop-target");
+        });
+
+        htmlElement.addEventListener("dragleave", (ev) => {
+          if (!htmlElement.contains(ev.relatedTarget)) clearIndicators();
+        });
+        htmlElement.addEventListener("dragend", clearIndicators);
+
+        htmlElement.addEventListener("drop", (ev) => {
+          if (!isSkillDrag(ev)) return;
+          clearIndicators();
+          const item = fromUuidSync(ev.dataTransfer.getData(SKILL_DRAG_TYPE));
+          const position = dropPosition(ev);
+          // A row dragged from another actor's sheet is an ordinary item drop
+          if (!position || item?.parent !== this.actor) return;
           ev.preventDefault();
           ev.stopPropagation();
+          this._onDropSkill(item, position);
+        }, { capture: true });
+      }
+
+      /**
+       * A class folder dropped on the sheet is applied like the builder applies it, so its starting
+       * equipment skips items the character already has. Other folders drop as usual.
+       */
+      async _onDropFolder(event, data) {
+        const folder = await fromUuid(data.uuid);
+        const isClassFolder = folder?.type === "Item"
+          && !!findClassItems(game.items.filter((i) => i.folder?.id === folder.id))?.naming;
+        if (!isClassFolder || !this.isEditable) return super._onDropFolder(event, data);
+        try {
+          return await applyClassFolder(this.actor, folder);
+        } catch (err) {
+          console.error(`[${MODULE_ID}] Applying the class folder failed`, err);
+          ui.notifications.error(game.i18n.localize("DCCCS.Equipment.ApplyFailed"));
+        }
+      }
 
-          const itemId = btn.dataset.itemId;
-          const item = this.actor.items.get(itemId);
-          if (!item) {
-            console.warn(`[${MODULE_ID}] Item not found:`, itemId);
+      /**
+       * Move a dropped skill row: rewrite weights, class or sort of the affected items.
+       * @param {Item} item - The dragged skill of this actor
+       * @param {{ list: HTMLElement, row: HTMLElement|null, before: boolean }} position
+       */
+      async _onDropSkill(item, { list, row, before }) {
+        const groups = this.__dcccsViewModel?.groups || [];
+        const targetGroupIndex = Number(list.dataset.groupIndex);
+        const target = groups[targetGroupIndex];
+        const sortMode = getSortMode();
+
+        // Groups sorted by name cannot be reordered by hand, only moved between
+        const sameGroup = target?.skills.some((s) => s.item.id === item.id);
+        if (sameGroup && (sortMode === "alpha" || (!target.isClass && sortMode !== "manual"))) {
+          ui.notifications.info(game.i18n.localize("DCCCS.Reorder.Alphabetical"));
+          return;
+        }
+
+        const updates = planSkillDrop({
+          item,
+          groups,
+          targetGroupIndex,
+          targetItemId: row?.dataset.itemId ?? null,
+          before,
+          sortMode
+        });
+        if (!updates.length) return;
+        try {
+          await this.actor.updateEmbeddedDocuments("Item", updates);
+        } catch (err) {
+          console.error(`[${MODULE_ID}] Reordering skills failed`, err);
+          ui.notifications.error(game.i18n.localize("DCCCS.Reorder.Failed"));
+        }
+      }
+
+      /** Collapse or expand a skill group, remembered for this user and actor. */
+      async _onToggleGroup(event, target) {
+        const header = target.closest(".ccc-group-header");
+        const collapsed = !header.classList.contains("ccc-collapsed");
+        header.classList.toggle("ccc-collapsed", collapsed);
+        header.nextElementSibling?.classList.toggle("ccc-collapsed", collapsed);
+        try {
+          await setGroupCollapsed(this.actor, target.dataset.groupKey, collapsed);
+        } catch (err) {
+          console.error(`[${MODULE_ID}] Saving the collapsed group failed`, err);
+        }
+      }
+
+      /** Collapse or expand a class overview; remembered like a collapsed group. */
+      async _onToggleOverview(event, target) {
+        const header = target.closest(".ccc-overview-header");
+        const body = header?.nextElementSibling;
+        if (!body?.classList.contains("ccc-overview-body")) return;
+        const collapsed = !header.classList.contains("ccc-collapsed");
+        header.classList.toggle("ccc-collapsed", collapsed);
+        body.classList.toggle("ccc-collapsed", collapsed);
+        try {
+          await setGroupCollapsed(this.actor, target.dataset.groupKey, collapsed);
+        } catch (err) {
+          console.error(`[${MODULE_ID}] Saving the collapsed overview failed`, err);
+        }
+      }
+
+      /** Switch the Active Effects of a class feature on or off. */
+      async _onToggleFeature(event, target) {
+        const item = this.actor.items.get(target.dataset.itemId);
+        if (!item || !this.isEditable) return;
+        try {
+          await toggleFeature(item, !isFeatureActive(item));
+        } catch (err) {
+          console.error(`[${MODULE_ID}] Toggling the class feature failed`, err);
+          ui.notifications.error(game.i18n.localize("DCCCS.Feature.ToggleFailed"));
+        }
+      }
+
+      /**
+       * Offer to spend a use of a limited skill, then roll it: on its RollTable if it has one,
+       * otherwise with the DCC sheet's own action. That action finds skills by name, so a skill
+       * sharing its name with another item of the actor is rolled by its id instead.
+       */
+      async _onRollSkillCheck(event, target) {
+        const item = this.actor.items.get(target.closest("[data-item-id]")?.dataset.itemId);
+        if (item && !(await offerSkillUse(item, this._skillDisplayName(item)))) return;
+        if (item?.flags?.[MODULE_ID]?.table?.uuid) {
+          try {
+            return await rollSkillOnTable(item, this._skillDisplayName(item));
+          } catch (err) {
+            console.error(`[${MODULE_ID}] Rolling on the skill's table failed`, err);
+            ui.notifications.error(game.i18n.localize("DCCCS.Table.RollFailed"));
             return;
           }
+        }
+        if (item && !systemFindsSkill(item)) return rollSkillCheck(item, this._skillDisplayName(item));
+        const action = this.options.actions.rollSkillCheck;
+        const handler = action?.handler ?? action;
+        return handler?.call(this, event, target);
+      }
 
-          const groups = this.__dcccsViewModel?.groups || [];
-          let displayName = item.name;
-          for (const group of groups) {
-            const skillWrapper = group.skills.find(s => s.item._id === itemId);
-            if (skillWrapper) {
-              displayName = skillWrapper.displayName;
-              break;
-            }
-          }
+      /** Spend a use of a skill; with Shift held, give one back. */
+      async _onSpendUse(event, target) {
+        const item = this.actor.items.get(target.dataset.itemId);
+        if (!item || !this.isEditable) return;
+        const spent = await spendSkillUse(item, event.shiftKey ? -1 : 1);
+        if (!spent) ui.notifications.warn(game.i18n.format("DCCCS.Uses.Exhausted", { name: this._skillDisplayName(item) }));
+      }
 
-          await postSkillToChat(item, displayName);
+      /** Spend a point of a class resource pool; with Shift held, give one back. */
+      async _onSpendResource(event, target) {
+        const naming = this.actor.items.get(target.dataset.namingId);
+        if (!naming || !this.isEditable) return;
+        await spendResource(naming, target.dataset.poolId, event.shiftKey ? -1 : 1);
+      }
+
+      /** Rest the character after asking: every daily use and resource pool refills. */
+      async _onRest(event, target) {
+        const { DialogV2 } = foundry.applications.api;
+        const confirmed = await DialogV2.confirm({
+          window: { title: "DCCCS.Uses.RestTitle", icon: "fa-solid fa-bed" },
+          content: `<p>${game.i18n.format("DCCCS.Uses.RestConfirm", { name: foundry.utils.escapeHTML(this.actor.name) })}</p>`,
+          rejectClose: false
         });
+        if (!confirmed) return;
+        try {
+          await restActor(this.actor);
+          ui.notifications.info(game.i18n.format("DCCCS.Uses.Rested", { name: this.actor.name }));
+        } catch (err) {
+          console.error(`[${MODULE_ID}] Resting failed`, err);
+          ui.notifications.error(game.i18n.localize("DCCCS.Uses.RestFailed"));
+        }
+      }
+
+      /** Edit the overview fields and description of a class. */
+      async _onEditOverview(event, target) {
+        const naming = this.actor.items.get(target.dataset.namingId);
+        if (!naming) return;
+        try {
+          await editClassOverview(naming);
+        } catch (err) {
+          console.error(`[${MODULE_ID}] Saving the class overview failed`, err);
+          ui.notifications.error(game.i18n.localize("DCCCS.Overview.SaveFailed"));
+        }
+      }
+
+      /** Post a class overview to chat. */
+      async _onPostClassToChat(event, target) {
+        const naming = this.actor.items.get(target.dataset.namingId);
+        if (naming) await postClassOverviewToChat(this.actor, naming);
+      }
+
+      /** Open the class builder for this character. */
+      _onLaunchBuilder(event, target) {
+        CustomClassBuilder.launch(this.actor);
+      }
+
+      /** Offer to spend a use of a skill, then post its chat card. */
+      async _onPostSkillToChat(event, target) {
+        const itemId = target.dataset.itemId;
+        const item = this.actor.items.get(itemId);
+        if (!item) {
+          console.warn(`[${MODULE_ID}] Item not found:`, itemId);
+          return;
+        }
+
+        const displayName = this._skillDisplayName(item);
+        if (!(await offerSkillUse(item, displayName))) return;
+        try {
+          await postSkillCard(item, displayName);
+        } catch (err) {
+          console.error(`[${MODULE_ID}] Posting the class feature failed`, err);
+          ui.notifications.error(game.i18n.localize("DCCCS.Card.PostFailed"));
+        }
+      }
+
+      /**
+       * The name a skill is shown with in the tab (without its class prefix).
+       * @param {Item} item
+       * @returns {string}
+       */
+      _skillDisplayName(item) {
+        for (const group of this.__dcccsViewModel?.groups || []) {
+          const skillWrapper = group.skills.find(s => s.item._id === item.id);
+          if (skillWrapper) return skillWrapper.displayName;
+        }
+        return item.name;
+      }
+
+      /** Apply the class progression row for the character's level. */
+      async _onApplyProgression(event, target) {
+        try {
+          const applied = await applyProgression(this.actor);
+          if (!applied) ui.notifications.info(game.i18n.localize("DCCCS.Progression.UpToDate"));
+        } catch (err) {
+          console.error(`[${MODULE_ID}] Applying the class progression to ${this.actor.name} failed`, err);
+          ui.notifications.error(game.i18n.localize("DCCCS.Progression.ApplyFailed"));
+        }
+      }
+
+      /** Open a class of this character in the builder. */
+      _onEditClass(event, target) {
+        CustomClassBuilder.editActorClass(this.actor, target.dataset.className).render(true);
+      }
+
+      /** Export a class of this character as a class definition file. */
+      _onExportClass(event, target) {
+        const definition = classDefinitionFromItems(this.actor.items, { className: target.dataset.className });
+        if (definition) exportClassDefinition(definition);
+      }
+
+      /** Remove a class from the character, after asking. */
+      async _onRemoveClass(event, target) {
+        const { className } = target.dataset;
+        if (!(await promptRemoveClass(this.actor, className))) return;
+        try {
+          await removeClassFromActor(this.actor, className);
+          ui.notifications.info(game.i18n.format("DCCCS.Removal.Removed", { className }));
+        } catch (err) {
+          console.error(`[${MODULE_ID}] Removing class ${className} failed`, err);
+          ui.notifications.error(game.i18n.localize("DCCCS.Removal.Failed"));
+        }
+      }
+
+      /** Replace a class of the character with a world class picked in a dialog. */
+      async _onChangeClass(event, target) {
+        const { className } = target.dataset;
+        const folder = await promptChangeClass(this.actor, className);
+        if (!folder) return;
+        try {
+          await changeActorClass(this.actor, className, folder);
+          ui.notifications.info(game.i18n.format("DCCCS.Removal.Changed", { from: className, to: folder.name }));
+        } catch (err) {
+          console.error(`[${MODULE_ID}] Changing class ${className} failed`, err);
+          ui.notifications.error(game.i18n.localize("DCCCS.Removal.Failed"));
+        }
+      }
+
+      /** Restore a removed class, after asking to replace the class if the character has it again. */
+      async _onRestoreClass(event, target) {
+        const { snapshotId, className } = target.dataset;
+        if (actorHasClass(this.actor, className) && !(await promptReplaceClass(this.actor, className))) return;
+        try {
+          const items = await restoreRemovedClass(this.actor, snapshotId);
+          if (items.length) ui.notifications.info(game.i18n.format("DCCCS.Removal.Restored", { className }));
+        } catch (err) {
+          console.error(`[${MODULE_ID}] Restoring class ${className} failed`, err);
+          ui.notifications.error(game.i18n.localize("DCCCS.Removal.Failed"));
+        }
+      }
+
+      /** Forget a removed class, so it can no longer be restored. */
+      async _onDiscardRemovedClass(event, target) {
+        await discardRemovedClass(this.actor, target.dataset.snapshotId);
       }
     }
 
+    // Apply the class progression row whenever the level of an actor using this sheet changes.
+    // Only the user who made the change applies it, so the update is not repeated per client.
+    Hooks.on("updateActor", (actor, changes, options, userId) => {
+      if (userId !== game.user.id) return;
+      if (!foundry.utils.hasProperty(changes, "system.details.level.value")) return;
+      // Reading actor.sheet would build a sheet for actors whose sheet was never opened
+      const sheetClass = actor._getSheetClass?.();
+      const usesCustomSheet = sheetClass
+        ? sheetClass === DCCActorSheetCustom || sheetClass.prototype instanceof DCCActorSheetCustom
+        : actor.getFlag("core", "sheetClass") === `${MODULE_ID}.DCCActorSheetCustom`;
+      if (!usesCustomSheet) return;
+      applyProgression(actor).catch((err) => {
+        console.error(`[${MODULE_ID}] Applying the class progression to ${actor.name} failed`, err);
+        ui.notifications.error(game.i18n.localize("DCCCS.Progression.ApplyFailed"));
+      });
+    });
+
     const { Actors } = foundry.documents.collections;
     Actors.registerSheet(MODULE_ID, DCCActorSheetCustom, {
       types: [REGISTER_TYPE],
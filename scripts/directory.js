@@ -0,0 +1,63 @@
+// DCC Custom Class Sheet — Items directory integration
+// Adds class edit/export/import entries to the context menu of Item folders.
+//
+// Dependencies: class-definition.js (JSON format), class-builder.js (editing & import preview)
+
+import {
+  classDefinitionFromFolder,
+  exportClassDefinition,
+  importClassDefinitionFile,
+} from "./class-definition.js";
+import { CustomClassBuilder } from "./class-builder.js";
+
+/**
+ * Resolve the Folder document behind a folder context-menu target.
+ * @param {HTMLElement} li - The clicked folder header
+ * @returns {Folder|undefined}
+ */
+function folderFromTarget(li) {
+  const folderId = li.closest("[data-folder-id]")?.dataset.folderId;
+  return game.folders.get(folderId);
+}
+
+Hooks.on("getFolderContextOptions", (directory, menuItems) => {
+  if (directory.documentName !== "Item") return;
+
+  menuItems.push(
+    {
+      name: "DCCCS.Actions.Edit",
+      icon: '<i class="fa-solid fa-pen-to-square"></i>',
+      condition: (li) => {
+        const folder = folderFromTarget(li);
+        return !!folder && game.user.isGM && game.items.some((i) => i.folder?.id === folder.id);
+      },
+      callback: (li) => CustomClassBuilder.editFolder(folderFromTarget(li)).render(true)
+    },
+    {
+      name: "DCCCS.Actions.Export",
+      icon: '<i class="fa-solid fa-file-export"></i>',
+      condition: (li) => !!folderFromTarget(li),
+      callback: (li) => {
+        const definition = classDefinitionFromFolder(folderFromTarget(li));
+        if (!definition.skills.length) {
+          ui.notifications.warn(game.i18n.format("DCCCS.Export.NoSkills", { className: definition.name }));
+          return;
+        }
+        exportClassDefinition(definition);
+      }
+    },
+    {
+      name: "DCCCS.Actions.Import",
+      icon: '<i class="fa-solid fa-file-import"></i>',
+      condition: () => game.user.can("ITEM_CREATE") && game.user.can("FOLDER_CREATE"),
+      callback: async (li) => {
+        // Preview in the builder; creating from there places the class inside this folder
+        const definition = await importClassDefinitionFile();
+        if (!definition) return;
+        const builder = new CustomClassBuilder(null, { parentFolder: folderFromTarget(li)?.id ?? null });
+        builder.loadDefinition(definition);
+        builder.render(true);
+      }
+    }
+  );
+});
@@ -0,0 +1,128 @@
+// DCC Custom Class Sheet — starting equipment of a class
+// Besides skills, a class can come with a kit: weapons, armor and equipment that every character
+// of the class starts with. Kit items live in the class folder next to the skills and are marked
+// with flags["dcc-custom-class-sheet"].kit = { className, sourceUuid }, where sourceUuid is the
+// sidebar or compendium item they were dropped from in the builder.
+// In class definitions the kit is
+//   "equipment": [{ "name": "Battleaxe", "type": "weapon", "img": "…", "sourceUuid": "Compendium.…",
+//                   "data": { …the item's data… } }]
+// so it travels with exported classes. Applying a class grants the kit, skipping items the
+// character already has (same type and name, or copied from the same source). Kit items stay on
+// the character when the class is removed; they are the character's belongings from then on.
+//
+// Dependencies: none besides init.js
+
+import { MODULE_ID } from "./init.js";
+
+/** Item data keys that belong to one document rather than to the item it describes */
+const DOCUMENT_KEYS = ["_id", "folder", "sort", "ownership", "_stats"];
+
+/**
+ * Normalize a definition's kit: named, non-skill items with their data.
+ * @param {Array|null} [raw]
+ * @returns {Array<{ name: string, type: string, img: string|null, sourceUuid: string|null, data: object, sourceId?: string }>}
+ */
+export function normalizeEquipment(raw) {
+  if (!Array.isArray(raw)) return [];
+  const entries = [];
+  for (const entry of raw) {
+    const name = String(entry?.name ?? entry?.data?.name ?? "").trim();
+    const type = String(entry?.type ?? entry?.data?.type ?? "").trim();
+    if (!name || !type || type === "skill") continue;
+    const normalized = {
+      name,
+      type,
+      img: (typeof entry.img === "string" && entry.img.trim()) || entry.data?.img || null,
+      sourceUuid: (typeof entry.sourceUuid === "string" && entry.sourceUuid.trim()) || null,
+      data: entry.data && typeof entry.data === "object" ? foundry.utils.deepClone(entry.data) : {}
+    };
+    if (entry.sourceId) normalized.sourceId = entry.sourceId;
+    entries.push(normalized);
+  }
+  return entries;
+}
+
+/**
+ * Whether an item is part of the kit of a class.
+ * @param {Item} item
+ * @param {string} [className] - Any class when omitted
+ * @returns {boolean}
+ */
+export function isKitItem(item, className) {
+  const kit = item.flags?.[MODULE_ID]?.kit;
+  if (!kit?.className) return false;
+  return !className || kit.className.toLowerCase() === className.toLowerCase();
+}
+
+/**
+ * Read an item as a kit entry. Items of a class folder keep the source they were dropped from;
+ * any other item becomes its own source.
+ * @param {Item} item
+ * @returns {object} see normalizeEquipment
+ */
+export function equipmentFromItem(item) {
+  const data = item.toObject();
+  for (const key of DOCUMENT_KEYS) delete data[key];
+  if (data.flags) delete data.flags[MODULE_ID];
+  return {
+    name: item.name,
+    type: item.type,
+    img: item.img || null,
+    sourceUuid: item.flags?.[MODULE_ID]?.kit?.sourceUuid ?? item.uuid,
+    data
+  };
+}
+
+/**
+ * Item data for a kit entry of a class.
+ * @param {string} className
+ * @param {object} entry - Normalized kit entry
+ * @returns {object}
+ */
+export function equipmentItemData(className, entry) {
+  const data = foundry.utils.deepClone(entry.data ?? {});
+  for (const key of DOCUMENT_KEYS) delete data[key];
+  const img = entry.img || data.img;
+  return foundry.utils.mergeObject(data, {
+    name: entry.name,
+    type: entry.type,
+    ...(img ? { img } : {}),
+    flags: { [MODULE_ID]: { kit: { className, sourceUuid: entry.sourceUuid ?? null } } }
+  });
+}
+
+/**
+ * Whether item data matches one of the given items: same type and name, or copied from the
+ * same source item.
+ * @param {object} data - Item data to grant
+ * @param {Iterable<Item|object>} items - Items (or item data) the actor has
+ * @returns {boolean}
+ */
+export function isDuplicateItem(data, items) {
+  const name = String(data.name ?? "").trim().toLowerCase();
+  const source = data.flags?.[MODULE_ID]?.kit?.sourceUuid ?? null;
+  for (const item of items) {
+    if (item.type === data.type && String(item.name ?? "").trim().toLowerCase() === name) return true;
+    if (!source) continue;
+    const kit = item.flags?.[MODULE_ID]?.kit;
+    if (kit?.sourceUuid === source || item._stats?.compendiumSource === source || item.uuid === source) return true;
+  }
+  return false;
+}
+
+/**
+ * Give kit items to an actor, skipping the ones it already has.
+ * @param {Actor} actor
+ * @param {object[]} itemData - Item data of kit items (see equipmentItemData)
+ * @returns {Promise<{ created: Item[], skipped: string[] }>} the created items and names of the skipped ones
+ */
+export async function grantEquipment(actor, itemData) {
+  const granted = [];
+  const skipped = [];
+  for (const data of itemData) {
+    if (isDuplicateItem(data, [...actor.items, ...granted])) skipped.push(data.name);
+    else granted.push(data);
+  }
+  const created = granted.length ? await actor.createEmbeddedDocuments("Item", granted) : [];
+  return { created, skipped };
+}
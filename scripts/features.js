@@ -0,0 +1,213 @@
+// DCC Custom Class Sheet — toggleable class features (Active Effects on skills)
+// A class skill can carry Active Effects that transfer to its actor. They start disabled; the
+// toggle on the skill's row in the Custom Class tab switches all of the skill's effects on or off.
+// The builder defines one "feature effect" per skill from simple modifiers, stored in definitions as
+//   "effect": { "modifiers": [{ "target": "str", "bonus": 4 }], "rounds": 10 }
+// and on the item as an ActiveEffect flagged flags["dcc-custom-class-sheet"].feature, which also
+// keeps the modifiers for reading the definition back. Effects added by hand on the item sheet are
+// toggled along but never touched otherwise.
+// A feature with a duration that is switched on during a combat switches itself off once its
+// rounds are over (or the combat ends); the active GM does that.
+//
+// Dependencies: none besides init.js
+
+import { MODULE_ID } from "./init.js";
+
+/** Actor data a modifier can change, with the label shown in the builder */
+export const EFFECT_TARGETS = [
+  { id: "str", key: "system.abilities.str.value", label: "DCC.AbilityStr" },
+  { id: "agl", key: "system.abilities.agl.value", label: "DCC.AbilityAgl" },
+  { id: "sta", key: "system.abilities.sta.value", label: "DCC.AbilitySta" },
+  { id: "per", key: "system.abilities.per.value", label: "DCC.AbilityPer" },
+  { id: "int", key: "system.abilities.int.value", label: "DCC.AbilityInt" },
+  { id: "lck", key: "system.abilities.lck.value", label: "DCC.AbilityLck" },
+  { id: "ac", key: "system.attributes.ac.value", label: "DCCCS.Feature.Target.ac" },
+  { id: "ref", key: "system.saves.ref.value", label: "DCCCS.Feature.Target.ref" },
+  { id: "frt", key: "system.saves.frt.value", label: "DCCCS.Feature.Target.frt" },
+  { id: "wil", key: "system.saves.wil.value", label: "DCCCS.Feature.Target.wil" },
+  { id: "init", key: "system.attributes.init.value", label: "DCCCS.Feature.Target.init" },
+  { id: "speed", key: "system.attributes.speed.value", label: "DCCCS.Feature.Target.speed" }
+];
+
+/**
+ * Normalize a definition's feature effect: known targets, integer bonuses, whole rounds.
+ * @param {object|null} [raw]
+ * @returns {{ modifiers: Array<{ target: string, bonus: number }>, rounds: number|null }|null}
+ *   null when there is no modifier
+ */
+export function normalizeFeatureEffect(raw) {
+  if (!raw || typeof raw !== "object" || !Array.isArray(raw.modifiers)) return null;
+  const modifiers = raw.modifiers
+    .map((m) => ({ target: String(m?.target ?? ""), bonus: Number(m?.bonus) }))
+    .filter((m) => EFFECT_TARGETS.some((t) => t.id === m.target) && Number.isInteger(m.bonus) && m.bonus !== 0);
+  if (!modifiers.length) return null;
+  const rounds = Number(raw.rounds);
+  return { modifiers, rounds: Number.isInteger(rounds) && rounds > 0 ? rounds : null };
+}
+
+/**
+ * Short text for a feature effect, e.g. "+4 Str, -1 AC (10 rounds)".
+ * @param {object|null} effect - Normalized feature effect
+ * @returns {string}
+ */
+export function featureEffectSummary(effect) {
+  if (!effect) return "";
+  const parts = effect.modifiers.map(({ target, bonus }) => {
+    const label = game.i18n.localize(`DCCCS.Feature.Short.${target}`);
+    return `${bonus > 0 ? "+" : ""}${bonus} ${label}`;
+  });
+  const rounds = effect.rounds ? ` ${game.i18n.format("DCCCS.Feature.Rounds", { rounds: effect.rounds })}` : "";
+  return `${parts.join(", ")}${rounds}`;
+}
+
+/**
+ * ActiveEffect data for a skill's feature effect. It transfers to the actor and starts disabled.
+ * @param {string} name - Skill name
+ * @param {string} img - Skill image
+ * @param {object} effect - Normalized feature effect
+ * @returns {object}
+ */
+export function featureEffectData(name, img, effect) {
+  const { ADD } = CONST.ACTIVE_EFFECT_MODES;
+  return {
+    name,
+    img,
+    transfer: true,
+    disabled: true,
+    changes: effect.modifiers.map(({ target, bonus }) => ({
+      key: EFFECT_TARGETS.find((t) => t.id === target).key,
+      mode: ADD,
+      value: String(bonus)
+    })),
+    duration: { rounds: effect.rounds },
+    flags: { [MODULE_ID]: { feature: true, modifiers: effect.modifiers, rounds: effect.rounds } }
+  };
+}
+
+/**
+ * The feature effect the builder made for a skill item, if any.
+ * @param {Item} item
+ * @returns {ActiveEffect|undefined}
+ */
+function findFeatureEffect(item) {
+  return item.effects?.find((e) => e.flags?.[MODULE_ID]?.feature);
+}
+
+/**
+ * Read a skill item's feature effect back as definition data.
+ * @param {Item} item
+ * @returns {object|null} see normalizeFeatureEffect
+ */
+export function featureEffectFromItem(item) {
+  const flags = findFeatureEffect(item)?.flags[MODULE_ID];
+  return flags ? normalizeFeatureEffect(flags) : null;
+}
+
+/**
+ * Bring a skill item's feature effect in line with a definition: create, update or delete it.
+ * Whether the effect is switched on is kept.
+ * @param {Item} item
+ * @param {object|null} effect - Normalized feature effect
+ * @returns {Promise<void>}
+ */
+export async function syncFeatureEffect(item, effect) {
+  const existing = findFeatureEffect(item);
+  if (!effect) {
+    if (existing) await existing.delete();
+    return;
+  }
+  if (foundry.utils.objectsEqual({ v: featureEffectFromItem(item) }, { v: effect })) return;
+  const data = featureEffectData(item.name, item.img, effect);
+  if (!existing) {
+    await item.createEmbeddedDocuments("ActiveEffect", [data]);
+    return;
+  }
+  await existing.update({
+    changes: data.changes,
+    "duration.rounds": effect.rounds,
+    [`flags.${MODULE_ID}.modifiers`]: effect.modifiers,
+    [`flags.${MODULE_ID}.rounds`]: effect.rounds
+  });
+}
+
+/**
+ * Whether a skill item has effects the row toggle switches.
+ * @param {Item} item
+ * @returns {boolean}
+ */
+export function hasFeatureEffects(item) {
+  return (item.effects?.size ?? 0) > 0;
+}
+
+/**
+ * Whether any of a skill item's effects is switched on.
+ * @param {Item} item
+ * @returns {boolean}
+ */
+export function isFeatureActive(item) {
+  return !!item.effects?.some((e) => !e.disabled);
+}
+
+/**
+ * Switch all of a skill item's effects on or off. A feature effect with a duration switched on
+ * during a combat remembers the round it started in.
+ * @param {Item} item
+ * @param {boolean} active
+ * @returns {Promise<ActiveEffect[]>}
+ */
+export function toggleFeature(item, active) {
+  const combat = game.combat?.started ? game.combat : null;
+  const updates = item.effects.map((effect) => {
+    const update = { _id: effect.id, disabled: !active };
+    const flags = effect.flags?.[MODULE_ID];
+    if (flags?.feature) {
+      const timed = active && !!flags.rounds && !!combat;
+      Object.assign(update, {
+        "duration.combat": timed ? combat.id : null,
+        "duration.startRound": timed ? combat.round : null,
+        "duration.startTurn": timed ? combat.turn : null,
+        [`flags.${MODULE_ID}.combatId`]: timed ? combat.id : null,
+        [`flags.${MODULE_ID}.startRound`]: timed ? combat.round : null
+      });
+    }
+    return update;
+  });
+  return item.updateEmbeddedDocuments("ActiveEffect", updates);
+}
+
+/**
+ * Switch off the timed feature effects of a combat's actors that ran out (or all of them).
+ * @param {Combat} combat
+ * @param {object} [options]
+ * @param {boolean} [options.all=false] - Switch off every feature started in the combat, e.g. when it ends
+ * @returns {Promise<void>}
+ */
+async function expireFeatureEffects(combat, { all = false } = {}) {
+  const actors = new Set(combat.combatants.map((c) => c.actor).filter(Boolean));
+  for (const actor of actors) {
+    for (const item of actor.items) {
+      const expired = item.effects.filter((effect) => {
+        const flags = effect.flags?.[MODULE_ID];
+        if (!flags?.feature || effect.disabled || flags.combatId !== combat.id) return false;
+        return all || combat.round >= flags.startRound + flags.rounds;
+      });
+      if (!expired.length) continue;
+      await item.updateEmbeddedDocuments("ActiveEffect", expired.map((effect) => ({
+        _id: effect.id,
+        disabled: true,
+        [`flags.${MODULE_ID}.combatId`]: null,
+        [`flags.${MODULE_ID}.startRound`]: null
+      })));
+    }
+  }
+}
+
+Hooks.on("updateCombat", (combat, changes) => {
+  if (!("round" in changes) || !game.users.activeGM?.isSelf) return;
+  expireFeatureEffects(combat).catch((err) => console.error(`[${MODULE_ID}] Expiring class features failed`, err));
+});
+
+Hooks.on("deleteCombat", (combat) => {
+  if (!game.users.activeGM?.isSelf) return;
+  expireFeatureEffects(combat, { all: true }).catch((err) => console.error(`[${MODULE_ID}] Expiring class features failed`, err));
+});
@@ -0,0 +1,372 @@
+// DCC Custom Class Sheet — class health check
+// A GM tool that scans every world actor and the world Items directory (folder by folder) for the
+// usual causes of classes that silently don't show up:
+//  - duplicate (CUSTOMCLASS) naming items, or a class skill present twice
+//  - class prefixes that don't parse, e.g. "(Barbarian ^ 10)Rage" or "(Barbarian^10 Rage"
+//  - prefixes on items that aren't skills (only skills are listed in the Custom Class tab)
+//  - icon lines that parseCustomClassIcon rejects, e.g. "<p>icon: fas fa-skull</p>"
+//  - class skills without a naming item
+// Each problem that can be repaired safely comes with a fix; the report is rebuilt after fixing.
+//
+// Dependencies: utils.js (class metadata), class-definition.js (naming item data)
+
+import { MODULE_ID } from "./init.js";
+import {
+  classSkillFields,
+  getItemClassData,
+  isIconClass,
+  parseCustomClassIcon,
+  parseNamingItem,
+  parsePrefixedSkillName,
+} from "./utils.js";
+import { defaultClassDescription, namingItemData } from "./class-definition.js";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/** Any icon line of a naming item description, whether parseCustomClassIcon accepts it or not */
+const REGEX_ANY_ICON_LINE = /<p>\s*icon:\s*([\s\S]*?)<\/p>/i;
+
+/** FontAwesome style classes, which are not icons themselves */
+const FA_STYLE_CLASSES = ["fa-solid", "fa-regular", "fa-light", "fa-thin", "fa-duotone", "fa-sharp", "fa-brands"];
+
+/** Short style classes of older FontAwesome versions, and the style a class icon keeps of them */
+const FA_STYLE_ALIASES = { fas: null, far: "fa-regular", fab: "fa-brands", "fa-regular": "fa-regular", "fa-brands": "fa-brands" };
+
+/** Problem types, with the icon shown in the report */
+export const ISSUE_TYPES = {
+  duplicateNaming: "fa-solid fa-clone",
+  duplicateSkill: "fa-solid fa-clone",
+  malformedPrefix: "fa-solid fa-triangle-exclamation",
+  notSkill: "fa-solid fa-ban",
+  badIcon: "fa-solid fa-icons",
+  missingNaming: "fa-solid fa-tag"
+};
+
+/**
+ * Read a class prefix more leniently than REGEX_PREFIXED_SKILL, allowing spaces around "^", "@"
+ * and the level range. Used to offer a normalized name for malformed prefixes.
+ * @param {string} name
+ * @returns {{ className: string, weight: number, minLevel: number|null, maxLevel: number|null, skillName: string }|null}
+ *   null when the prefix can't be read unambiguously
+ */
+export function parseLenientPrefix(name) {
+  const match = name.match(/^\(([^)]*)\)\s*(.*)$/);
+  if (!match) return null;
+  const inner = match[1].match(/^\s*(.+?)\s*(?:\^\s*(\d+))?\s*(?:@\s*(\d+)(?:\s*-\s*(\d+))?)?\s*$/);
+  const skillName = match[2].trim();
+  if (!inner || !skillName || /[\^@]/.test(inner[1])) return null;
+  const [, className, weight, minLevel, maxLevel] = inner;
+  return {
+    className,
+    weight: weight ? parseInt(weight, 10) : 0,
+    minLevel: minLevel ? parseInt(minLevel, 10) : null,
+    maxLevel: maxLevel ? parseInt(maxLevel, 10) : null,
+    skillName
+  };
+}
+
+/**
+ * The icon a rejected icon line most likely meant: its first "fa-" class that isn't a style class,
+ * keeping a regular or brands style.
+ * @param {string} line - Text of the icon line
+ * @returns {string|null}
+ */
+export function repairIconClass(line) {
+  const words = line.toLowerCase().match(/[a-z0-9-]+/g) ?? [];
+  const icon = words.find((c) => c.startsWith("fa-") && !FA_STYLE_CLASSES.includes(c));
+  if (!icon) return null;
+  const style = words.map((c) => FA_STYLE_ALIASES[c]).find(Boolean);
+  return style ? `${style} ${icon}` : icon;
+}
+
+/**
+ * Whether a name looks like it was meant to carry a class prefix but doesn't parse as one.
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isMalformedPrefix(name) {
+  if (!name.trimStart().startsWith("(") || parseNamingItem(name)) return false;
+  const parsed = parsePrefixedSkillName(name);
+  return !parsed || !parsed.skillName || /[\^@]/.test(parsed.className);
+}
+
+/**
+ * Find the problems among one set of items: an actor's items or one world folder's items.
+ * @param {object} container
+ * @param {Item[]} container.items
+ * @param {Function} container.create - (data[]) => Promise, creates items in the container
+ * @param {Function} container.update - (updates[]) => Promise
+ * @param {Function} container.delete - (ids[]) => Promise
+ * @param {Function} container.has - (id) => boolean, whether an item still exists
+ * @returns {Array<{ type: string, className: string|null, message: string, fix: Function|null }>}
+ */
+export function findClassIssues({ items, create, update, delete: remove, has }) {
+  const issues = [];
+  const add = (type, className, messageKey, data, fix = null) => {
+    issues.push({ type, className, message: game.i18n.format(`DCCCS.Health.Issue.${messageKey}`, data), fix });
+  };
+  // Fixes run later, possibly after other fixes; skip items that are gone by then
+  const updateExisting = (updates) => update(updates.filter((u) => has(u._id)));
+  const deleteExisting = (ids) => remove(ids.filter(has));
+
+  const namingByClass = new Map();
+  const skillsByKey = new Map();
+  const classNames = new Map();
+
+  for (const item of items) {
+    const isSkill = (item.type ?? "").toLowerCase() === "skill";
+    const flags = item.flags?.[MODULE_ID] ?? {};
+
+    if (!isSkill) {
+      const label = parseNamingItem(item.name);
+      let parsed = parsePrefixedSkillName(item.name);
+      if (flags.className) parsed = { className: flags.className, skillName: item.name };
+      else if (label) parsed = { className: label, skillName: label };
+      if (!parsed) continue;
+      add("notSkill", parsed.className, "NotSkill", { name: item.name, type: item.type }, () => updateExisting([{
+        _id: item.id,
+        name: parsed.skillName || item.name,
+        [`flags.-=${MODULE_ID}`]: null
+      }]));
+      continue;
+    }
+
+    if (!flags.className && isMalformedPrefix(item.name)) {
+      const lenient = parseLenientPrefix(item.name);
+      add("malformedPrefix", lenient?.className ?? null, lenient ? "MalformedPrefix" : "MalformedPrefixNoFix",
+        { name: item.name, className: lenient?.className, weight: lenient?.weight, skillName: lenient?.skillName },
+        lenient ? () => updateExisting([{ _id: item.id, ...classSkillFields(lenient) }]) : null);
+      continue;
+    }
+
+    const data = getItemClassData(item);
+    if (!data) continue;
+    const key = data.className.toLowerCase();
+    if (!classNames.has(key)) classNames.set(key, data.className);
+
+    if (data.naming) {
+      if (!namingByClass.has(key)) namingByClass.set(key, []);
+      namingByClass.get(key).push(item);
+
+      const descriptionHTML = item.system?.description?.value ?? "";
+      const line = descriptionHTML.match(REGEX_ANY_ICON_LINE);
+      const badFlag = !!flags.icon && !isIconClass(flags.icon);
+      const badLine = !!line && !parseCustomClassIcon(descriptionHTML);
+      // A valid icon flag wins over the description, so a bad line under it does no harm
+      if (badFlag || (badLine && !flags.icon)) {
+        const icon = repairIconClass(badFlag ? flags.icon : line[1]);
+        const fix = icon ? () => {
+          const value = line ? descriptionHTML.replace(line[0], data.fromFlags ? "" : `<p>icon: ${icon}</p>`).trim() : descriptionHTML;
+          const changes = { _id: item.id, "system.description.value": value };
+          if (data.fromFlags) changes[`flags.${MODULE_ID}.icon`] = icon;
+          return updateExisting([changes]);
+        } : null;
+        add("badIcon", data.className, icon ? "BadIcon" : "BadIconNoFix",
+          { className: data.className, line: badFlag ? flags.icon : line[1].trim(), icon }, fix);
+      }
+      continue;
+    }
+
+    const skillKey = `${key}\u0000${data.skillName.toLowerCase()}`;
+    if (!skillsByKey.has(skillKey)) skillsByKey.set(skillKey, []);
+    skillsByKey.get(skillKey).push(item);
+  }
+
+  // Duplicates: keep the first in item order, delete the rest
+  const bySort = (a, b) => (a.sort ?? 0) - (b.sort ?? 0);
+  for (const [key, namingItems] of namingByClass) {
+    if (namingItems.length < 2) continue;
+    const [keep, ...extra] = namingItems.sort(bySort);
+    const className = classNames.get(key);
+    add("duplicateNaming", className, "DuplicateNaming", { className, count: namingItems.length }, async () => {
+      // The kept item takes over an icon only a duplicate had
+      const icon = extra.map((i) => getItemClassData(i).icon).find(Boolean);
+      if (!getItemClassData(keep).icon && icon) {
+        const keepData = getItemClassData(keep);
+        if (keepData.fromFlags) await updateExisting([{ _id: keep.id, [`flags.${MODULE_ID}.icon`]: icon }]);
+        else {
+          const value = `<p>icon: ${icon}</p>${keep.system?.description?.value ?? ""}`;
+          await updateExisting([{ _id: keep.id, "system.description.value": value }]);
+        }
+      }
+      return deleteExisting(extra.map((i) => i.id));
+    });
+  }
+  for (const skillItems of skillsByKey.values()) {
+    if (skillItems.length < 2) continue;
+    const [keep, ...extra] = skillItems.sort(bySort);
+    const { className, skillName } = getItemClassData(keep);
+    add("duplicateSkill", className, "DuplicateSkill", { name: skillName, count: skillItems.length },
+      () => deleteExisting(extra.map((i) => i.id)));
+  }
+
+  // Class skills without a naming item; a combined label like "Ranger/Rogue" covers both classes
+  const labels = [...namingByClass.keys()].flatMap((key) => [key, ...key.split("/").map((part) => part.trim())]);
+  for (const [key, className] of classNames) {
+    if (labels.includes(key)) continue;
+    add("missingNaming", className, "MissingNaming", { className }, () => create([namingItemData({
+      name: className,
+      icon: null,
+      description: defaultClassDescription(className),
+      progression: null
+    })]));
+  }
+
+  return issues;
+}
+
+/**
+ * Scan all world actors and the world Items directory.
+ * @returns {Array<{ label: string, icon: string, issues: object[] }>} sources with at least one issue
+ */
+export function collectHealthIssues() {
+  const sources = [];
+  const add = (label, icon, container) => {
+    const issues = findClassIssues(container);
+    if (issues.length) sources.push({ label, icon, issues });
+  };
+
+  for (const actor of game.actors) {
+    add(actor.name, "fa-solid fa-user", {
+      items: [...actor.items],
+      create: (data) => actor.createEmbeddedDocuments("Item", data),
+      update: (updates) => actor.updateEmbeddedDocuments("Item", updates),
+      delete: (ids) => actor.deleteEmbeddedDocuments("Item", ids),
+      has: (id) => actor.items.has(id)
+    });
+  }
+
+  const byFolder = new Map();
+  for (const item of game.items) {
+    const folderId = item.folder?.id ?? null;
+    if (!byFolder.has(folderId)) byFolder.set(folderId, []);
+    byFolder.get(folderId).push(item);
+  }
+  for (const [folderId, items] of byFolder) {
+    const folder = folderId ? game.folders.get(folderId) : null;
+    add(folder ? folder.name : game.i18n.localize("DCCCS.Health.NoFolder"), "fa-solid fa-folder", {
+      items,
+      create: (data) => Item.createDocuments(data.map((d) => ({ ...d, folder: folderId }))),
+      update: (updates) => Item.updateDocuments(updates),
+      delete: (ids) => Item.deleteDocuments(ids),
+      has: (id) => game.items.has(id)
+    });
+  }
+  return sources;
+}
+
+/**
+ * Settings menu window: lists the problems found, grouped by actor or folder and by class, with
+ * a button per fixable problem and one to fix them all.
+ */
+export class ClassHealthCheck extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: `${MODULE_ID}-health-check`,
+    classes: [MODULE_ID, "dcc-class-health"],
+    window: {
+      title: "DCCCS.Health.Title",
+      icon: "fa-solid fa-stethoscope",
+      resizable: true
+    },
+    position: {
+      width: 600,
+      height: 600
+    },
+    actions: {
+      refresh: ClassHealthCheck.prototype._onRefresh,
+      fixIssue: ClassHealthCheck.prototype._onFixIssue,
+      fixAll: ClassHealthCheck.prototype._onFixAll
+    }
+  };
+
+  static PARTS = {
+    report: {
+      template: `modules/${MODULE_ID}/templates/health-check.html`
+    }
+  };
+
+  /** Sources of the last scan; issues are referred to by their index in `issues` */
+  sources = null;
+  issues = [];
+
+  /** @inheritdoc */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    this.sources ??= collectHealthIssues();
+    this.issues = this.sources.flatMap((s) => s.issues);
+
+    const general = game.i18n.localize("DCCCS.Health.General");
+    const sources = this.sources.map(({ label, icon, issues }) => {
+      const classes = new Map();
+      for (const issue of issues) {
+        const className = issue.className ?? general;
+        if (!classes.has(className)) classes.set(className, []);
+        classes.get(className).push({
+          id: this.issues.indexOf(issue),
+          icon: ISSUE_TYPES[issue.type],
+          message: issue.message,
+          fixable: !!issue.fix
+        });
+      }
+      return { label, icon, count: issues.length, classes: [...classes].map(([className, entries]) => ({ className, issues: entries })) };
+    });
+
+    return {
+      ...context,
+      sources,
+      count: this.issues.length,
+      fixable: this.issues.filter((i) => i.fix).length
+    };
+  }
+
+  /** Scan the classes again. */
+  async _onRefresh(event, target) {
+    this.sources = null;
+    this.render();
+  }
+
+  /** Run the fix of one issue, then scan again. */
+  async _onFixIssue(event, target) {
+    const issue = this.issues[Number(target.dataset.issueId)];
+    if (!issue?.fix) return;
+    target.disabled = true;
+    await this._runFixes([issue]);
+  }
+
+  /** Run every available fix, then scan again. */
+  async _onFixAll(event, target) {
+    target.disabled = true;
+    await this._runFixes(this.issues.filter((i) => i.fix));
+  }
+
+  /**
+   * Run fixes one after another, then scan again.
+   * @param {object[]} issues
+   */
+  async _runFixes(issues) {
+    let failed = 0;
+    for (const issue of issues) {
+      try {
+        await issue.fix();
+      } catch (err) {
+        failed++;
+        console.error(`[${MODULE_ID}] Health check fix failed: ${issue.message}`, err);
+      }
+    }
+    if (failed) ui.notifications.error(game.i18n.format("DCCCS.Health.FixFailed", { count: failed }));
+    else ui.notifications.info(game.i18n.format("DCCCS.Health.Fixed", { count: issues.length }));
+    this.sources = null;
+    this.render();
+  }
+}
+
+Hooks.once("init", () => {
+  game.settings.registerMenu(MODULE_ID, "classHealthCheck", {
+    name: "DCCCS.Health.MenuName",
+    label: "DCCCS.Health.MenuLabel",
+    hint: "DCCCS.Health.MenuHint",
+    icon: "fa-solid fa-stethoscope",
+    type: ClassHealthCheck,
+    restricted: true
+  });
+});
@@ -0,0 +1,314 @@
+// DCC Custom Class Sheet — FontAwesome icon list and picker
+// Foundry ships FontAwesome as a stylesheet, so the icons it knows are read from the loaded CSS
+// rules (".fa-skull::before { content: ... }", or the "--fa" variable of FontAwesome 6.5+).
+// Whether an icon actually renders depends on the style: FontAwesome Free has every icon in solid,
+// only some in regular and brand logos only in brands. That is checked per glyph by drawing it on
+// a canvas with the style's font and comparing it with the browser's fallback rendering.
+//
+// Dependencies: utils.js (class icon syntax)
+
+import { MODULE_ID } from "./init.js";
+import { iconDisplayClass, isIconClass } from "./utils.js";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/** Icon styles offered by the picker; solid is the default and is left out of stored icons */
+export const ICON_STYLES = [
+  { id: "solid", className: "fa-solid", label: "DCCCS.IconPicker.Solid" },
+  { id: "regular", className: "fa-regular", label: "DCCCS.IconPicker.Regular" },
+  { id: "brands", className: "fa-brands", label: "DCCCS.IconPicker.Brands" }
+];
+
+/** Classes in the FontAwesome stylesheet that are not icons */
+const NON_ICON_CLASSES = new Set([
+  "solid", "regular", "brands", "light", "thin", "duotone", "sharp", "classic", "fw", "lg", "xs", "sm", "xl",
+  "1x", "2x", "3x", "4x", "5x", "6x", "7x", "8x", "9x", "10x", "2xs", "2xl", "ul", "li", "border", "pull-left",
+  "pull-right", "pull-start", "pull-end", "stack", "stack-1x", "stack-2x", "inverse", "sr-only", "sr-only-focusable",
+  "rotate-90", "rotate-180", "rotate-270", "rotate-by", "flip", "flip-horizontal", "flip-vertical", "flip-both",
+  "beat", "beat-fade", "bounce", "fade", "shake", "spin", "spin-pulse", "spin-reverse", "pulse", "width-auto",
+  "width-fixed", "swap-opacity"
+]);
+
+/** Icons shown at once in the picker grid */
+const MAX_GRID_ICONS = 240;
+
+/** Icon name → glyph, read once from the stylesheets */
+let iconGlyphs = null;
+
+/** "style:name" → whether the glyph renders */
+const renderCache = new Map();
+
+/**
+ * Decode a CSS string value such as "\f54c" into its character.
+ * @param {string} value
+ * @returns {string}
+ */
+function decodeCssString(value) {
+  return value.trim()
+    .replace(/^["']|["']$/g, "")
+    .replace(/\\([0-9a-f]{1,6})\s?/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)));
+}
+
+/**
+ * Collect icon glyphs from a list of CSS rules, descending into @layer and @media blocks.
+ * @param {CSSRuleList} rules
+ * @param {Map<string, string>} glyphs
+ */
+function collectGlyphs(rules, glyphs) {
+  for (const rule of rules) {
+    if (rule.cssRules) collectGlyphs(rule.cssRules, glyphs);
+    if (!rule.selectorText?.includes(".fa-")) continue;
+    const value = rule.style.getPropertyValue("--fa") || rule.style.getPropertyValue("content");
+    const glyph = value ? decodeCssString(value) : "";
+    if (!glyph || glyph === "none") continue;
+    for (const selector of rule.selectorText.split(",")) {
+      const match = selector.trim().match(/^\.fa-([a-z0-9-]+)(?:::?before)?$/);
+      if (match && !NON_ICON_CLASSES.has(match[1]) && !glyphs.has(match[1])) glyphs.set(match[1], glyph);
+    }
+  }
+}
+
+/**
+ * The FontAwesome icons Foundry's stylesheets define, by name without "fa-".
+ * Stylesheets of other origins can't be read and are skipped.
+ * @returns {Map<string, string>} icon name → glyph; empty if no FontAwesome rules could be read
+ */
+export function getFontAwesomeIcons() {
+  if (iconGlyphs) return iconGlyphs;
+  const glyphs = new Map();
+  for (const sheet of document.styleSheets) {
+    try {
+      collectGlyphs(sheet.cssRules, glyphs);
+    } catch (error) {
+      // Cross-origin stylesheet
+    }
+  }
+  iconGlyphs = new Map([...glyphs].sort(([a], [b]) => a.localeCompare(b)));
+  return iconGlyphs;
+}
+
+/**
+ * Split a class icon into its style and icon name.
+ * @param {string} iconClass - e.g. "fa-skull" or "fa-brands fa-github"
+ * @returns {{ style: string, name: string }} style id (see ICON_STYLES) and name without "fa-"
+ */
+export function splitIconClass(iconClass) {
+  const classes = String(iconClass ?? "").trim().split(/\s+/);
+  const style = ICON_STYLES.find(s => classes.includes(s.className))?.id ?? "solid";
+  const name = classes.find(c => c.startsWith("fa-") && !ICON_STYLES.some(s => s.className === c));
+  return { style, name: name ? name.slice(3) : "" };
+}
+
+/**
+ * The class icon for an icon name in a style; solid icons are stored without their style.
+ * @param {string} name - Icon name without "fa-"
+ * @param {string} style - Style id (see ICON_STYLES)
+ * @returns {string}
+ */
+export function joinIconClass(name, style) {
+  return style === "solid" ? `fa-${name}` : `fa-${style} fa-${name}`;
+}
+
+/**
+ * The font a FontAwesome style renders with, read from a probe element.
+ * @param {string} style - Style id
+ * @returns {string} a CSS font shorthand
+ */
+function styleFont(style) {
+  const probe = document.createElement("i");
+  probe.className = ICON_STYLES.find(s => s.id === style).className;
+  probe.style.position = "absolute";
+  probe.style.visibility = "hidden";
+  document.body.append(probe);
+  const { fontFamily, fontWeight } = getComputedStyle(probe);
+  probe.remove();
+  return `${fontWeight} 24px ${fontFamily}`;
+}
+
+/**
+ * Pixels of a glyph drawn in a font.
+ * @param {CanvasRenderingContext2D} context
+ * @param {string} font
+ * @param {string} glyph
+ * @returns {Uint8ClampedArray}
+ */
+function drawGlyph(context, font, glyph) {
+  context.clearRect(0, 0, 32, 32);
+  context.font = font;
+  context.fillText(glyph, 4, 28);
+  return context.getImageData(0, 0, 32, 32).data;
+}
+
+/**
+ * Whether icons render in a style, by name. Unknown icons never render.
+ * @param {string[]} names - Icon names without "fa-"
+ * @param {string} style - Style id
+ * @returns {Promise<Map<string, boolean>>}
+ */
+export async function iconsRender(names, style) {
+  const glyphs = getFontAwesomeIcons();
+  const unchecked = names.filter(name => glyphs.has(name) && !renderCache.has(`${style}:${name}`));
+  if (unchecked.length) {
+    const font = styleFont(style);
+    try {
+      await document.fonts.load(font, glyphs.get(unchecked[0]));
+    } catch (error) {
+      console.warn(`[${MODULE_ID}] Could not load the icon font`, error);
+    }
+    const canvas = document.createElement("canvas");
+    canvas.width = canvas.height = 32;
+    const context = canvas.getContext("2d", { willReadFrequently: true });
+    for (const name of unchecked) {
+      const glyph = glyphs.get(name);
+      const drawn = drawGlyph(context, font, glyph);
+      const fallback = drawGlyph(context, "24px sans-serif", glyph);
+      // A glyph the font lacks is drawn by the fallback font, or not at all
+      const blank = drawn.every(v => v === 0);
+      renderCache.set(`${style}:${name}`, !blank && drawn.some((v, i) => v !== fallback[i]));
+    }
+  }
+  return new Map(names.map(name => [name, renderCache.get(`${style}:${name}`) ?? false]));
+}
+
+/**
+ * Check a class icon against the FontAwesome icon list.
+ * @param {string} iconClass
+ * @returns {Promise<{ valid: boolean, known: boolean|null, renders: boolean|null }>} `valid` is the
+ *   syntax check; `known` and `renders` are null when the icon list could not be read
+ */
+export async function checkIconClass(iconClass) {
+  if (!isIconClass(iconClass)) return { valid: false, known: false, renders: false };
+  if (!getFontAwesomeIcons().size) return { valid: true, known: null, renders: null };
+  const { style, name } = splitIconClass(iconClass);
+  const known = getFontAwesomeIcons().has(name);
+  const renders = known ? (await iconsRender([name], style)).get(name) : false;
+  return { valid: true, known, renders };
+}
+
+/**
+ * A searchable grid of the FontAwesome icons, by style. Resolves with the picked class icon.
+ */
+export class IconPicker extends HandlebarsApplicationMixin(ApplicationV2) {
+  /**
+   * @param {object} options
+   * @param {string} [options.current] - Class icon selected now
+   * @param {function(string|null)} options.resolve - Called with the picked icon, or null if closed
+   */
+  constructor({ current = "", resolve, ...options } = {}) {
+    super(options);
+    const { style, name } = splitIconClass(current);
+    this.current = current ? joinIconClass(name, style) : "";
+    this.style = style;
+    this.search = "";
+    this.renderingOnly = true;
+    this.resolve = resolve;
+  }
+
+  /**
+   * Open the picker.
+   * @param {object} [options]
+   * @param {string} [options.current] - Class icon selected now
+   * @returns {Promise<string|null>} the picked class icon, or null if the picker was closed
+   */
+  static pick({ current = "" } = {}) {
+    return new Promise(resolve => new this({ current, resolve }).render(true));
+  }
+
+  static DEFAULT_OPTIONS = {
+    id: `${MODULE_ID}-icon-picker`,
+    classes: [MODULE_ID, "dcc-icon-picker"],
+    window: {
+      title: "DCCCS.IconPicker.Title",
+      icon: "fa-solid fa-icons",
+      resizable: true
+    },
+    position: {
+      width: 520,
+      height: 560
+    },
+    actions: {
+      pickIcon: IconPicker.prototype._onPickIcon,
+      setStyle: IconPicker.prototype._onSetStyle
+    }
+  };
+
+  static PARTS = {
+    search: {
+      template: `modules/${MODULE_ID}/templates/icon-picker-search.html`
+    },
+    grid: {
+      template: `modules/${MODULE_ID}/templates/icon-picker-grid.html`,
+      scrollable: [".icon-grid"]
+    }
+  };
+
+  /** @inheritdoc */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const glyphs = getFontAwesomeIcons();
+    const terms = this.search.toLowerCase().split(/\s+/).filter(Boolean);
+    let names = [...glyphs.keys()].filter(name => terms.every(term => name.includes(term)));
+
+    const rendering = await iconsRender(names, this.style);
+    if (this.renderingOnly) names = names.filter(name => rendering.get(name));
+    const shown = names.slice(0, MAX_GRID_ICONS);
+
+    return {
+      ...context,
+      search: this.search,
+      renderingOnly: this.renderingOnly,
+      styles: ICON_STYLES.map(s => ({ ...s, active: s.id === this.style })),
+      listAvailable: glyphs.size > 0,
+      icons: shown.map(name => {
+        const iconClass = joinIconClass(name, this.style);
+        return {
+          name,
+          iconClass,
+          displayClass: iconDisplayClass(iconClass),
+          renders: rendering.get(name),
+          selected: iconClass === this.current
+        };
+      }),
+      total: names.length,
+      truncated: names.length > shown.length
+    };
+  }
+
+  /** @inheritdoc */
+  _onRender(context, options) {
+    super._onRender(context, options);
+    if (!options.parts.includes("search")) return;
+
+    // Only the grid re-renders while typing, so the search field keeps its focus
+    const searchInput = this.element.querySelector("[name='iconSearch']");
+    const refreshGrid = foundry.utils.debounce(() => this.render({ parts: ["grid"] }), 200);
+    searchInput?.addEventListener("input", (ev) => {
+      this.search = ev.target.value;
+      refreshGrid();
+    });
+    this.element.querySelector("[name='renderingOnly']")?.addEventListener("change", (ev) => {
+      this.renderingOnly = ev.target.checked;
+      this.render({ parts: ["grid"] });
+    });
+  }
+
+  /** Show the icons of another style. */
+  async _onSetStyle(event, target) {
+    this.style = target.dataset.style;
+    this.render();
+  }
+
+  /** Resolve with the clicked icon and close. */
+  async _onPickIcon(event, target) {
+    this.resolve?.(target.dataset.icon);
+    this.resolve = null;
+    this.close();
+  }
+
+  /** @inheritdoc */
+  _onClose(options) {
+    super._onClose(options);
+    this.resolve?.(null);
+    this.resolve = null;
+  }
+}
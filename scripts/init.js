@@ -6,34 +6,28 @@
 export const MODULE_ID = "dcc-custom-class-sheet";
 
 /**
- * Naming token for the tab label skill. Case-insensitive.
+ * Default naming token for the tab label skill. Case-insensitive.
  * A skill named "(CUSTOMCLASS)Salesman" will set the tab label to "Salesman".
+ * Worlds can pick another token in the module settings; read it via settings.js getNamingToken().
  */
 export const NAMING_TOKEN = "CUSTOMCLASS";
 
-/**
- * Regex for the naming item that controls the tab label.
- * Examples:
- *  - "(CUSTOMCLASS)Salesman"  => label = "Salesman"
- *  - "(customclass)Bard"      => label = "Bard" (case-insensitive)
- *
- * Groups:
- *  1: label text (trimmed)
- */
-export const REGEX_NAMING_ITEM = /^\(\s*customclass\s*\)\s*(.+)$/i;
-
 /**
  * Regex for class-prefixed skills to be listed in the custom tab.
  * Examples:
- *  - "(Barbarian)Rage"            => class="Barbarian", weight=0, name="Rage"
- *  - "(Barbarian^10)Natural Armor" => class="Barbarian", weight=10, name="Natural Armor"
+ *  - "(Barbarian)Rage"               => class="Barbarian", weight=0, name="Rage"
+ *  - "(Barbarian^10)Natural Armor"   => class="Barbarian", weight=10, name="Natural Armor"
+ *  - "(Barbarian^10@3)Bloodlust"     => ... unlocks at level 3
+ *  - "(Barbarian@1-4)Untamed"        => ... available from level 1 to level 4 only
  *
  * Groups:
  *  1: class name (string, may contain spaces)
  *  2: weight (optional digits), defaults to 0 when absent
- *  3: remaining skill name (string)
+ *  3: minimum level (optional digits after "@")
+ *  4: maximum level (optional digits after "@min-")
+ *  5: remaining skill name (string)
  */
-export const REGEX_PREFIXED_SKILL = /^\(\s*([^)]+?)\s*(?:\^(\d+))?\)\s*(.*)$/;
+export const REGEX_PREFIXED_SKILL = /^\(\s*([^)]+?)\s*(?:\^(\d+))?\s*(?:@(\d+)(?:\s*-\s*(\d+))?)?\s*\)\s*(.*)$/;
 
 /** Simple console logger gated by dev mode; use via utils.vlog for richer logs. */
 export function log(...args) {
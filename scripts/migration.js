@@ -0,0 +1,166 @@
+// DCC Custom Class Sheet — migration of name-encoded class items to flags
+// Older items keep their class in the name ("(Barbarian^10)Rage", "(CUSTOMCLASS)Barbarian").
+// The migration moves that into flags["dcc-custom-class-sheet"] and gives the items plain names
+// (see getItemClassData); an icon line in a naming item's description moves into the flags too.
+// It covers world items, world actors and unlocked Item/Actor compendiums, and always shows a
+// dry-run report first. Items that are not migrated keep working through name parsing.
+//
+// Dependencies: utils.js (class metadata)
+
+import { MODULE_ID } from "./init.js";
+import {
+  getItemClassData,
+  classSkillFields,
+  namingItemFields,
+  parseCustomClassIcon,
+  stripCustomClassIcon,
+} from "./utils.js";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * The update that moves an item's name-encoded class data into flags.
+ * @param {Item} item
+ * @returns {object|null} update data, or null when the item needs no migration
+ */
+export function migrationUpdate(item) {
+  const data = getItemClassData(item);
+  if (!data || data.fromFlags) return null;
+
+  if (!data.naming) return { _id: item.id, ...classSkillFields(data) };
+
+  const update = { _id: item.id, ...namingItemFields(data.className, data.icon) };
+  const descriptionHTML = item.system?.description?.value ?? "";
+  if (parseCustomClassIcon(descriptionHTML)) {
+    update.system = { description: { value: stripCustomClassIcon(descriptionHTML) } };
+  }
+  return update;
+}
+
+/**
+ * Dry run: find every item that needs migrating, grouped by where it lives.
+ * @returns {Promise<Array<{ label: string, entries: object[], updates: object[], apply: Function }>>}
+ *   `entries` describe each change for the report; `apply()` writes `updates`
+ */
+export async function collectClassItemMigration() {
+  const sources = [];
+  const add = (label, items, apply) => {
+    const updates = [];
+    const entries = [];
+    for (const item of items) {
+      const update = migrationUpdate(item);
+      if (!update) continue;
+      const data = getItemClassData(item);
+      updates.push(update);
+      entries.push({ from: item.name, to: update.name, className: data.className, weight: data.weight, naming: data.naming });
+    }
+    if (updates.length) sources.push({ label, entries, updates, apply: () => apply(updates) });
+  };
+
+  add(game.i18n.localize("DCCCS.Migration.WorldItems"), game.items, (updates) => Item.updateDocuments(updates));
+  for (const actor of game.actors) {
+    add(game.i18n.format("DCCCS.Migration.Actor", { name: actor.name }), actor.items,
+      (updates) => actor.updateEmbeddedDocuments("Item", updates));
+  }
+
+  for (const pack of game.packs) {
+    if (pack.locked || !["Item", "Actor"].includes(pack.documentName)) continue;
+    const documents = await pack.getDocuments();
+    if (pack.documentName === "Item") {
+      add(game.i18n.format("DCCCS.Migration.Compendium", { name: pack.title }), documents,
+        (updates) => Item.updateDocuments(updates, { pack: pack.collection }));
+      continue;
+    }
+    for (const actor of documents) {
+      add(game.i18n.format("DCCCS.Migration.CompendiumActor", { pack: pack.title, name: actor.name }), actor.items,
+        (updates) => actor.updateEmbeddedDocuments("Item", updates));
+    }
+  }
+  return sources;
+}
+
+/**
+ * Migrate every name-encoded class item.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=true] - Only report what would change
+ * @returns {Promise<{ sources: object[], count: number }>}
+ */
+export async function migrateClassItems({ dryRun = true } = {}) {
+  const sources = await collectClassItemMigration();
+  const count = sources.reduce((sum, source) => sum + source.updates.length, 0);
+  if (!dryRun) {
+    for (const source of sources) await source.apply();
+  }
+  return { sources, count };
+}
+
+/**
+ * Settings menu window: shows the dry-run report and runs the migration on request.
+ */
+export class ClassItemMigration extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: `${MODULE_ID}-migration`,
+    classes: [MODULE_ID, "dcc-class-migration"],
+    window: {
+      title: "DCCCS.Migration.Title",
+      icon: "fa-solid fa-right-left",
+      resizable: true
+    },
+    position: {
+      width: 560,
+      height: 560
+    },
+    actions: {
+      refresh: ClassItemMigration.prototype._onRefresh,
+      migrate: ClassItemMigration.prototype._onMigrate
+    }
+  };
+
+  static PARTS = {
+    report: {
+      template: `modules/${MODULE_ID}/templates/migration.html`
+    }
+  };
+
+  /** Result of the last dry run */
+  report = null;
+
+  /** @inheritdoc */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    this.report ??= await migrateClassItems({ dryRun: true });
+    return { ...context, sources: this.report.sources, count: this.report.count };
+  }
+
+  /** Run the dry run again. */
+  async _onRefresh(event, target) {
+    this.report = null;
+    this.render();
+  }
+
+  /** Migrate the listed items, then run the dry run again. */
+  async _onMigrate(event, target) {
+    if (!this.report?.count) return;
+    target.disabled = true;
+    try {
+      const { count } = await migrateClassItems({ dryRun: false });
+      ui.notifications.info(game.i18n.format("DCCCS.Migration.Done", { count }));
+    } catch (err) {
+      console.error(`[${MODULE_ID}] Class item migration failed`, err);
+      ui.notifications.error(game.i18n.localize("DCCCS.Migration.Failed"));
+    }
+    this.report = null;
+    this.render();
+  }
+}
+
+Hooks.once("init", () => {
+  game.settings.registerMenu(MODULE_ID, "migrateClassItems", {
+    name: "DCCCS.Migration.MenuName",
+    label: "DCCCS.Migration.MenuLabel",
+    hint: "DCCCS.Migration.MenuHint",
+    icon: "fa-solid fa-right-left",
+    type: ClassItemMigration,
+    restricted: true
+  });
+});
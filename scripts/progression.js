@@ -0,0 +1,129 @@
+// DCC Custom Class Sheet — level progression tables
+// A class may carry a per-level table (levels 1–10) on its (CUSTOMCLASS) naming item in
+// flags["dcc-custom-class-sheet"].progression. Each row holds the DCC class values for that
+// level; applyProgression() copies the row for the actor's current level onto the actor.
+//
+// Row format: { level, title, hitDie, attack, critDie, critTable, actionDice, ref, fort, will }
+// All values are strings. An empty string means "leave the actor's value alone".
+
+import { MODULE_ID } from "./init.js";
+import { getNamingItem } from "./utils.js";
+
+/** Highest level a progression table covers */
+export const PROGRESSION_LEVELS = 10;
+
+/**
+ * Progression columns and the DCC actor fields they write.
+ * `pattern` validates builder input (a null pattern accepts any text); `example` is its placeholder.
+ */
+export const PROGRESSION_FIELDS = [
+  { key: "title", path: "system.details.title.value", pattern: null, example: "Savage" },
+  { key: "hitDie", path: "system.attributes.hitDice.value", pattern: /^\d*d\d+$/i, example: "1d12" },
+  { key: "attack", path: "system.details.attackBonus", pattern: /^[+-]?(\d+|\d*d\d+)([+-]\d+)?$/i, example: "+d3" },
+  { key: "critDie", path: "system.attributes.critical.die", pattern: /^\d*d\d+$/i, example: "1d12" },
+  { key: "critTable", path: "system.attributes.critical.table", pattern: /^[A-Z0-9-]+$/i, example: "III" },
+  { key: "actionDice", path: "system.attributes.actionDice.value", pattern: /^\d*d\d+(\s*[,+]\s*\d*d\d+)*$/i, example: "1d20" },
+  { key: "ref", path: "system.saves.ref.classBonus", pattern: /^[+-]?\d+$/, example: "+1" },
+  { key: "fort", path: "system.saves.frt.classBonus", pattern: /^[+-]?\d+$/, example: "+1" },
+  { key: "will", path: "system.saves.wil.classBonus", pattern: /^[+-]?\d+$/, example: "+0" }
+];
+
+/**
+ * A blank row for every level, used by the builder's progression step.
+ * @returns {object[]}
+ */
+export function emptyProgressionTable() {
+  return Array.from({ length: PROGRESSION_LEVELS }, (_, i) => {
+    const row = { level: i + 1 };
+    for (const { key } of PROGRESSION_FIELDS) row[key] = "";
+    return row;
+  });
+}
+
+/**
+ * Normalize stored or imported progression data: known fields only, trimmed strings,
+ * levels within 1–PROGRESSION_LEVELS, rows without any value dropped, sorted by level.
+ * @param {*} rows
+ * @returns {object[]}
+ */
+export function normalizeProgression(rows) {
+  if (!Array.isArray(rows)) return [];
+  const byLevel = new Map();
+  for (const raw of rows) {
+    const level = Number(raw?.level);
+    if (!Number.isInteger(level) || level < 1 || level > PROGRESSION_LEVELS) continue;
+    const row = { level };
+    let hasValue = false;
+    for (const { key } of PROGRESSION_FIELDS) {
+      row[key] = String(raw[key] ?? "").trim();
+      if (row[key]) hasValue = true;
+    }
+    if (hasValue) byLevel.set(level, row);
+  }
+  return [...byLevel.values()].sort((a, b) => a.level - b.level);
+}
+
+/**
+ * Find progression cells whose value does not match the field's format.
+ * @param {object[]} rows
+ * @returns {Array<{ level: number, field: string, value: string }>}
+ */
+export function validateProgression(rows) {
+  const invalid = [];
+  for (const row of rows) {
+    for (const { key, pattern } of PROGRESSION_FIELDS) {
+      const value = String(row[key] ?? "").trim();
+      if (value && pattern && !pattern.test(value)) invalid.push({ level: row.level, field: key, value });
+    }
+  }
+  return invalid;
+}
+
+/**
+ * Read the progression table stored on a (CUSTOMCLASS) naming item.
+ * @param {Item|null} namingItem
+ * @returns {object[]}
+ */
+export function getProgression(namingItem) {
+  return normalizeProgression(namingItem?.getFlag?.(MODULE_ID, "progression"));
+}
+
+/**
+ * Find the progression row that applies to an actor at its current (or a given) level.
+ * @param {Actor} actor
+ * @param {number} [level] - Defaults to actor.system.details.level.value
+ * @returns {{ level: number, row: object|null, hasProgression: boolean }}
+ */
+export function getActorProgressionRow(actor, level) {
+  level = Number(level ?? actor.system?.details?.level?.value) || 0;
+  const rows = getProgression(getNamingItem(actor));
+  return {
+    level,
+    row: rows.find((r) => r.level === level) ?? null,
+    hasProgression: rows.length > 0
+  };
+}
+
+/**
+ * Write the progression row for the actor's level onto its DCC fields.
+ * Empty cells and values that already match are skipped.
+ * @param {Actor} actor
+ * @param {object} [options]
+ * @param {number} [options.level] - Level to apply instead of the actor's current level
+ * @returns {Promise<boolean>} true if the actor was updated
+ */
+export async function applyProgression(actor, { level } = {}) {
+  const { row } = getActorProgressionRow(actor, level);
+  if (!row) return false;
+
+  const updates = {};
+  for (const { key, path } of PROGRESSION_FIELDS) {
+    if (!row[key]) continue;
+    if (String(foundry.utils.getProperty(actor, path) ?? "") === row[key]) continue;
+    updates[path] = row[key];
+  }
+  if (foundry.utils.isEmpty(updates)) return false;
+
+  await actor.update(updates);
+  return true;
+}
@@ -0,0 +1,230 @@
+// DCC Custom Class Sheet — uses per day and class resource pools
+// A class skill can be limited to a number of uses, kept in flags["dcc-custom-class-sheet"]:
+//   uses: { max: "3", pool: null, cost: 1 }   — its own uses; "max" may scale with @level
+//   uses: { max: "", pool: "fury", cost: 2 }  — spends points of a class resource pool instead
+//   usesSpent: 1                              — per character, never part of a class definition
+// Pools belong to the class naming item:
+//   resources: [{ id: "fury", name: "Fury", max: "@level + 2" }]
+//   resourceSpent: { fury: 3 }
+// Spent counts are stored rather than remaining ones, so a maximum that grows with the level
+// grows the remaining uses too. Resting (restActor) clears every spent count of the actor.
+//
+// Dependencies: utils.js (class metadata)
+
+import { MODULE_ID } from "./init.js";
+import { getItemClassData, getNamingItems } from "./utils.js";
+
+/**
+ * Normalize a skill's uses: a maximum formula, or a pool id with a cost.
+ * @param {object|null} [raw]
+ * @returns {{ max: string, pool: string|null, cost: number }|null} null when the skill is unlimited
+ */
+export function normalizeUses(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const pool = typeof raw.pool === "string" && raw.pool.trim() ? raw.pool.trim() : null;
+  const max = raw.max === null || raw.max === undefined ? "" : String(raw.max).trim();
+  const cost = Number(raw.cost);
+  if (!pool && !max) return null;
+  return { max: pool ? "" : max, pool, cost: Number.isInteger(cost) && cost > 0 ? cost : 1 };
+}
+
+/**
+ * Normalize a class's resource pools: named, with a maximum and a unique id.
+ * @param {Array|null} [raw]
+ * @returns {Array<{ id: string, name: string, max: string }>}
+ */
+export function normalizeResources(raw) {
+  if (!Array.isArray(raw)) return [];
+  const pools = [];
+  for (const entry of raw) {
+    const name = String(entry?.name ?? "").trim();
+    const max = entry?.max === null || entry?.max === undefined ? "" : String(entry.max).trim();
+    if (!name || !max) continue;
+    const wanted = typeof entry.id === "string" && entry.id.trim() ? entry.id.trim() : name;
+    pools.push({ id: resourceId(wanted, pools.map((p) => p.id)), name, max });
+  }
+  return pools;
+}
+
+/**
+ * A pool id for a name that is not taken yet, e.g. "fury" or "fury-2".
+ * @param {string} name
+ * @param {string[]} taken - Ids already in use
+ * @returns {string}
+ */
+export function resourceId(name, taken) {
+  const base = name.slugify({ strict: true }) || "pool";
+  let id = base;
+  for (let n = 2; taken.includes(id); n++) id = `${base}-${n}`;
+  return id;
+}
+
+/**
+ * Evaluate a maximum formula: a whole number or arithmetic with @level, e.g. "1 + floor(@level / 2)".
+ * @param {string} formula
+ * @param {number} level
+ * @returns {number|null} a whole number of at least 0, or null when the formula is not valid
+ */
+export function evaluateMax(formula, level) {
+  const expression = Roll.replaceFormulaData(String(formula ?? ""), { level }, { missing: "0" });
+  if (!expression.trim()) return null;
+  try {
+    const value = Roll.safeEval(expression);
+    return Number.isFinite(value) ? Math.max(0, Math.floor(value)) : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Whether a maximum formula is valid (see evaluateMax).
+ * @param {string} formula
+ * @returns {boolean}
+ */
+export function isValidMax(formula) {
+  return evaluateMax(formula, 1) !== null;
+}
+
+/**
+ * The character level formulas see as @level.
+ * @param {Actor} actor
+ * @returns {number}
+ */
+function actorLevel(actor) {
+  return Number(actor?.system?.details?.level?.value) || 0;
+}
+
+/**
+ * An actor's resource pools of one class, with what is left of them.
+ * @param {Item} naming - The class naming item
+ * @param {Actor} actor
+ * @returns {Array<{ id: string, name: string, max: number, spent: number, remaining: number, namingId: string }>}
+ */
+export function getClassResources(naming, actor) {
+  const flags = naming?.flags?.[MODULE_ID] ?? {};
+  return normalizeResources(flags.resources).map(({ id, name, max }) => {
+    const total = evaluateMax(max, actorLevel(actor)) ?? 0;
+    const spent = Math.clamp(Number(flags.resourceSpent?.[id]) || 0, 0, total);
+    return { id, name, max: total, spent, remaining: total - spent, namingId: naming.id };
+  });
+}
+
+/**
+ * A skill's uses on an actor: its own counter, or the pool it spends from.
+ * @param {Item} item
+ * @param {Actor} actor
+ * @returns {{ max: number, remaining: number, cost: number, pool: object|null }|null} null when the
+ *   skill is unlimited or its pool is missing; `pool` is the getClassResources entry
+ */
+export function getSkillUses(item, actor) {
+  const uses = normalizeUses(item.flags?.[MODULE_ID]?.uses);
+  if (!uses) return null;
+  if (uses.pool) {
+    const className = getItemClassData(item)?.className.toLowerCase();
+    const naming = getNamingItems(actor).find((n) => getItemClassData(n).className.toLowerCase() === className);
+    const pool = naming ? getClassResources(naming, actor).find((p) => p.id === uses.pool) : null;
+    return pool ? { max: pool.max, remaining: pool.remaining, cost: uses.cost, pool } : null;
+  }
+  const max = evaluateMax(uses.max, actorLevel(actor)) ?? 0;
+  const spent = Math.clamp(Number(item.flags[MODULE_ID].usesSpent) || 0, 0, max);
+  return { max, remaining: max - spent, cost: 1, pool: null };
+}
+
+/**
+ * Spend points of a resource pool, or give them back with a negative amount.
+ * @param {Item} naming
+ * @param {string} poolId
+ * @param {number} amount
+ * @returns {Promise<Item|undefined>}
+ */
+export function spendResource(naming, poolId, amount) {
+  const pool = getClassResources(naming, naming.parent).find((p) => p.id === poolId);
+  if (!pool) return undefined;
+  const spent = Math.clamp(pool.spent + amount, 0, pool.max);
+  return naming.update({ [`flags.${MODULE_ID}.resourceSpent.${poolId}`]: spent });
+}
+
+/**
+ * Spend one use of a skill (its cost, from a pool), or give it back with `amount` -1.
+ * @param {Item} item - A skill on an actor
+ * @param {number} [amount=1] - Uses to spend; negative to regain
+ * @returns {Promise<boolean>} false when the skill has too few uses left
+ */
+export async function spendSkillUse(item, amount = 1) {
+  const actor = item.parent;
+  const uses = getSkillUses(item, actor);
+  if (!uses) return false;
+  if (amount > 0 && uses.remaining < uses.cost * amount) return false;
+  if (uses.pool) {
+    await spendResource(actor.items.get(uses.pool.namingId), uses.pool.id, uses.cost * amount);
+  } else {
+    const spent = Math.clamp(uses.max - uses.remaining + amount, 0, uses.max);
+    await item.update({ [`flags.${MODULE_ID}.usesSpent`]: spent });
+  }
+  return true;
+}
+
+/**
+ * Before a limited skill is rolled or posted, offer to spend a use.
+ * @param {Item} item
+ * @param {string} displayName
+ * @returns {Promise<boolean>} false when the user cancelled, so the roll should not happen
+ */
+export async function offerSkillUse(item, displayName) {
+  const uses = getSkillUses(item, item.parent);
+  if (!uses || !item.isOwner) return true;
+
+  const name = foundry.utils.escapeHTML(displayName);
+  const left = uses.pool
+    ? game.i18n.format("DCCCS.Uses.PoolLeft", { cost: uses.cost, pool: foundry.utils.escapeHTML(uses.pool.name), remaining: uses.remaining, max: uses.max })
+    : game.i18n.format("DCCCS.Uses.Left", { remaining: uses.remaining, max: uses.max });
+  const enough = uses.remaining >= uses.cost;
+  const { DialogV2 } = foundry.applications.api;
+  const choice = await DialogV2.wait({
+    window: { title: game.i18n.format("DCCCS.Uses.SpendTitle", { name: displayName }), icon: "fa-solid fa-hourglass-half" },
+    content: `<p>${game.i18n.format(enough ? "DCCCS.Uses.SpendPrompt" : "DCCCS.Uses.NoneLeft", { name })}</p><p class="hint">${left}</p>`,
+    buttons: [
+      ...(enough ? [{ action: "spend", label: "DCCCS.Uses.Spend", icon: "fa-solid fa-check", default: true }] : []),
+      { action: "skip", label: "DCCCS.Uses.DontSpend", icon: "fa-solid fa-forward", default: !enough }
+    ],
+    rejectClose: false
+  });
+  if (!choice) return false;
+  if (choice === "spend") await spendSkillUse(item);
+  return true;
+}
+
+/**
+ * Rest: every daily use and resource pool of the actor is full again.
+ * Fires the "dcccs.rest" hook with (actor).
+ * @param {Actor} actor
+ * @returns {Promise<number>} how many items were reset
+ */
+export async function restActor(actor) {
+  const updates = [];
+  for (const item of actor.items) {
+    const flags = item.flags?.[MODULE_ID];
+    if (!flags) continue;
+    const update = { _id: item.id };
+    if (Number(flags.usesSpent)) update[`flags.${MODULE_ID}.usesSpent`] = 0;
+    if (flags.resourceSpent && Object.values(flags.resourceSpent).some(Number)) {
+      update[`flags.${MODULE_ID}.-=resourceSpent`] = null;
+    }
+    if (Object.keys(update).length > 1) updates.push(update);
+  }
+  if (updates.length) await actor.updateEmbeddedDocuments("Item", updates);
+  Hooks.callAll("dcccs.rest", actor);
+  return updates.length;
+}
+
+/**
+ * Whether an actor has anything resting resets: a limited skill or a resource pool.
+ * @param {Actor} actor
+ * @returns {boolean}
+ */
+export function hasTrackedUses(actor) {
+  return actor.items.some((item) => {
+    const flags = item.flags?.[MODULE_ID];
+    return !!normalizeUses(flags?.uses) || normalizeResources(flags?.resources).length > 0;
+  });
+}
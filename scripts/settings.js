@@ -0,0 +1,212 @@
+// DCC Custom Class Sheet — module settings
+// World settings change how class items are named and labelled for everyone; client settings
+// only change how the Custom Class tab is laid out for the current user.
+// Read them through the getters below rather than game.settings directly, so empty or
+// malformed values fall back to the defaults.
+//
+// Dependencies: init.js (MODULE_ID, defaults)
+
+import { MODULE_ID, NAMING_TOKEN } from "./init.js";
+
+/** Tab icon used when a class has none (or the setting is empty) */
+export const DEFAULT_TAB_ICON = "fa-solid fa-circle-exclamation";
+
+/** Skill order within a class group */
+export const SORT_MODES = {
+  weight: "DCCCS.Settings.SortMode.Weight",
+  alpha: "DCCCS.Settings.SortMode.Alpha",
+  manual: "DCCCS.Settings.SortMode.Manual"
+};
+
+/** Where the group of unprefixed (occupational) skills goes */
+export const OCCUPATIONAL_MODES = {
+  bottom: "DCCCS.Settings.OccupationalMode.Bottom",
+  top: "DCCCS.Settings.OccupationalMode.Top",
+  tab: "DCCCS.Settings.OccupationalMode.Tab",
+  hidden: "DCCCS.Settings.OccupationalMode.Hidden"
+};
+
+/** How level-gated skills outside the character's level range are shown */
+export const LOCKED_MODES = {
+  show: "DCCCS.Settings.LockedMode.Show",
+  hide: "DCCCS.Settings.LockedMode.Hide"
+};
+
+/** Who sees class features posted to chat */
+export const CARD_VISIBILITY = {
+  public: "DCCCS.Settings.CardVisibility.Public",
+  gm: "DCCCS.Settings.CardVisibility.Gm",
+  self: "DCCCS.Settings.CardVisibility.Self"
+};
+
+/** Chat roll mode of each card visibility */
+const CARD_ROLL_MODES = {
+  public: "publicroll",
+  gm: "gmroll",
+  self: "selfroll"
+};
+
+/**
+ * Re-render the Custom Class tab of every open custom sheet, so a changed setting shows at once.
+ */
+function refreshCustomSheets() {
+  for (const app of foundry.applications.instances.values()) {
+    if (app.options.classes?.includes("dcc-custom-class-sheet")) app._refreshCustomClass?.();
+  }
+}
+
+Hooks.once("init", () => {
+  game.settings.register(MODULE_ID, "namingToken", {
+    name: "DCCCS.Settings.NamingToken.Name",
+    hint: "DCCCS.Settings.NamingToken.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    default: NAMING_TOKEN,
+    onChange: refreshCustomSheets
+  });
+
+  game.settings.register(MODULE_ID, "defaultIcon", {
+    name: "DCCCS.Settings.DefaultIcon.Name",
+    hint: "DCCCS.Settings.DefaultIcon.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    default: DEFAULT_TAB_ICON,
+    onChange: refreshCustomSheets
+  });
+
+  game.settings.register(MODULE_ID, "occupationalLabel", {
+    name: "DCCCS.Settings.OccupationalLabel.Name",
+    hint: "DCCCS.Settings.OccupationalLabel.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    default: "",
+    onChange: refreshCustomSheets
+  });
+
+  game.settings.register(MODULE_ID, "lockedMode", {
+    name: "DCCCS.Settings.LockedMode.Name",
+    hint: "DCCCS.Settings.LockedMode.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: LOCKED_MODES,
+    default: "show",
+    onChange: refreshCustomSheets
+  });
+
+  game.settings.register(MODULE_ID, "cardVisibility", {
+    name: "DCCCS.Settings.CardVisibility.Name",
+    hint: "DCCCS.Settings.CardVisibility.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: CARD_VISIBILITY,
+    default: "public"
+  });
+
+  game.settings.register(MODULE_ID, "sortMode", {
+    name: "DCCCS.Settings.SortMode.Name",
+    hint: "DCCCS.Settings.SortMode.Hint",
+    scope: "client",
+    config: true,
+    type: String,
+    choices: SORT_MODES,
+    default: "weight",
+    onChange: refreshCustomSheets
+  });
+
+  game.settings.register(MODULE_ID, "occupationalMode", {
+    name: "DCCCS.Settings.OccupationalMode.Name",
+    hint: "DCCCS.Settings.OccupationalMode.Hint",
+    scope: "client",
+    config: true,
+    type: String,
+    choices: OCCUPATIONAL_MODES,
+    default: "bottom",
+    onChange: refreshCustomSheets
+  });
+});
+
+/**
+ * Read a setting, or undefined before settings are registered (e.g. while modules evaluate).
+ * @param {string} key
+ * @returns {*}
+ */
+function readSetting(key) {
+  if (!game.settings?.settings?.has(`${MODULE_ID}.${key}`)) return undefined;
+  return game.settings.get(MODULE_ID, key);
+}
+
+/**
+ * The token that marks naming items, e.g. "CUSTOMCLASS" in "(CUSTOMCLASS)Barbarian".
+ * Parentheses and surrounding whitespace are stripped; an empty value falls back to the default.
+ * @returns {string}
+ */
+export function getNamingToken() {
+  const token = String(readSetting("namingToken") ?? "").replace(/[()]/g, "").trim();
+  return token || NAMING_TOKEN;
+}
+
+/**
+ * Icon for a class tab without its own icon line.
+ * @returns {string}
+ */
+export function getDefaultIcon() {
+  return String(readSetting("defaultIcon") ?? "").trim() || DEFAULT_TAB_ICON;
+}
+
+/**
+ * Heading of the occupational skills group.
+ * @returns {string}
+ */
+export function getOccupationalLabel() {
+  return String(readSetting("occupationalLabel") ?? "").trim() || game.i18n.localize("DCCCS.OccupationalSkills");
+}
+
+/**
+ * Skill order within class groups: "weight", "alpha" or "manual".
+ * @returns {string}
+ */
+export function getSortMode() {
+  const mode = readSetting("sortMode");
+  return mode in SORT_MODES ? mode : "weight";
+}
+
+/**
+ * Placement of the occupational skills group: "bottom" or "top" of the primary class tab,
+ * its own "tab", or "hidden".
+ * @returns {string}
+ */
+export function getOccupationalMode() {
+  const mode = readSetting("occupationalMode");
+  return mode in OCCUPATIONAL_MODES ? mode : "bottom";
+}
+
+/**
+ * Treatment of locked level-gated skills: "show" (greyed out) or "hide" (from players).
+ * @returns {string}
+ */
+export function getLockedMode() {
+  const mode = readSetting("lockedMode");
+  return mode in LOCKED_MODES ? mode : "show";
+}
+
+/**
+ * Who sees class features posted to chat: "public", "gm" (whispered to the GM) or "self".
+ * @returns {string}
+ */
+export function getCardVisibility() {
+  const mode = readSetting("cardVisibility");
+  return mode in CARD_VISIBILITY ? mode : "public";
+}
+
+/**
+ * The chat roll mode of cards posted from the Custom Class tab, after the "cardVisibility" setting.
+ * @returns {string}
+ */
+export function getCardRollMode() {
+  return CARD_ROLL_MODES[getCardVisibility()];
+}
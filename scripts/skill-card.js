@@ -0,0 +1,176 @@
+// DCC Custom Class Sheet — class features posted to chat
+// "Post to chat" on a skill of the Custom Class tab posts a card (templates/skill-card.html) with
+// the skill's class, roll setup, last result, uses and description. The card remembers its skill
+// in flags["dcc-custom-class-sheet"].skillCard = { itemUuid, displayName }, so its buttons keep
+// working from the chat log: rolling the skill check and switching its feature effect on. The
+// buttons are only shown to users who own the skill.
+// Who sees the card follows the "cardVisibility" setting.
+//
+// Dependencies: utils.js (class metadata), settings.js (card visibility), features.js (effects),
+//               resources.js (uses), skill-tables.js (table rolls)
+
+import { MODULE_ID } from "./init.js";
+import { getCustomClassIcon, getItemClassData, getNamingItems } from "./utils.js";
+import { getCardRollMode, getOccupationalLabel } from "./settings.js";
+import { featureEffectFromItem, featureEffectSummary, hasFeatureEffects, isFeatureActive, toggleFeature } from "./features.js";
+import { getSkillUses, offerSkillUse } from "./resources.js";
+import { rollSkillCheck, rollSkillOnTable } from "./skill-tables.js";
+
+/** Icon of the occupational skills, as on their tab */
+const OCCUPATIONAL_ICON = "fa-solid fa-briefcase";
+
+/**
+ * The "Str +2 +Lvl" part of a skill's roll setup, as the Custom Class tab row shows it.
+ * @param {object} system - The skill's system data
+ * @returns {string}
+ */
+function checkModifiers(system) {
+  const { config = {}, ability, value } = system;
+  const parts = [];
+  if (config.useAbility && ability) {
+    parts.push(game.i18n.localize(`DCC.Ability${ability.charAt(0).toUpperCase()}${ability.slice(1)}Short`));
+  }
+  if (config.useValue && value !== "" && value !== null && value !== undefined) {
+    const number = Number(value);
+    parts.push(Number.isFinite(number) ? `${number >= 0 ? "+" : ""}${number}` : String(value));
+  }
+  if (config.useLevel) parts.push(game.i18n.localize("DCCCS.Builder.PlusLevel"));
+  return parts.join(" ");
+}
+
+/**
+ * Template data of a skill's chat card.
+ * @param {Item} item - A skill on an actor
+ * @param {string} displayName - The skill name without its class prefix
+ * @returns {Promise<object>} see templates/skill-card.html
+ */
+export async function skillCardData(item, displayName) {
+  const actor = item.parent;
+  const system = item.system ?? {};
+  const config = system.config ?? {};
+  const classData = getItemClassData(item);
+
+  let className = getOccupationalLabel();
+  let classIcon = OCCUPATIONAL_ICON;
+  if (classData) {
+    const key = classData.className.toLowerCase();
+    const naming = getNamingItems(actor).find((n) => getItemClassData(n).className.toLowerCase() === key);
+    className = classData.className;
+    classIcon = getCustomClassIcon(actor, naming ?? null);
+  }
+
+  const summary = [];
+  if (config.useDie && system.die) summary.push({ label: game.i18n.localize("DCCCS.Card.Die"), value: system.die });
+  const modifiers = checkModifiers(system);
+  if (modifiers) summary.push({ label: game.i18n.localize("DCCCS.Card.Modifiers"), value: modifiers });
+  const effect = featureEffectFromItem(item);
+  if (effect) summary.push({ label: game.i18n.localize("DCCCS.Card.Effect"), value: featureEffectSummary(effect) });
+
+  const uses = getSkillUses(item, actor);
+  const lastResult = config.showLastResult ? system.lastResult : null;
+  const { TextEditor } = foundry.applications.ux;
+
+  return {
+    name: displayName,
+    img: item.img || "icons/svg/item-bag.svg",
+    className,
+    classIcon,
+    summary,
+    lastResult: lastResult === null || lastResult === undefined || lastResult === "" ? null : String(lastResult),
+    uses: uses
+      ? uses.pool ? `${uses.remaining}/${uses.max} ${uses.pool.name}` : `${uses.remaining}/${uses.max}`
+      : null,
+    // The card is one message for everyone who can see it, so secret blocks are left out
+    description: await TextEditor.enrichHTML(system.description?.value || "", { relativeTo: item, secrets: false }),
+    canRoll: !!(config.useDie && system.die) || !!item.flags?.[MODULE_ID]?.table?.uuid,
+    hasEffects: hasFeatureEffects(item)
+  };
+}
+
+/**
+ * Post a skill's chat card, visible to whom the "cardVisibility" setting says.
+ * @param {Item} item - A skill on an actor
+ * @param {string} displayName - The skill name without its class prefix
+ * @returns {Promise<ChatMessage>}
+ */
+export async function postSkillCard(item, displayName) {
+  const name = displayName || item.name;
+  const { renderTemplate } = foundry.applications.handlebars;
+  const content = await renderTemplate(`modules/${MODULE_ID}/templates/skill-card.html`, await skillCardData(item, name));
+
+  const messageData = {
+    speaker: ChatMessage.getSpeaker({ actor: item.parent }),
+    content,
+    flags: {
+      core: { canPopout: true },
+      [MODULE_ID]: { skillCard: { itemUuid: item.uuid, displayName: name } }
+    }
+  };
+  ChatMessage.applyRollMode(messageData, getCardRollMode());
+  return ChatMessage.create(messageData);
+}
+
+/**
+ * Roll a skill from its card: offer to spend a use, then roll on its table if it has one,
+ * otherwise with the DCC system's skill check.
+ * @param {Item} item
+ * @param {string} displayName
+ * @returns {Promise<void>}
+ */
+async function rollFromCard(item, displayName) {
+  if (!(await offerSkillUse(item, displayName))) return;
+  if (item.flags?.[MODULE_ID]?.table?.uuid) {
+    await rollSkillOnTable(item, displayName);
+    return;
+  }
+  await rollSkillCheck(item, displayName);
+}
+
+/**
+ * Switch a skill's feature effect on from its card.
+ * @param {Item} item
+ * @param {string} displayName
+ * @returns {Promise<void>}
+ */
+async function applyFromCard(item, displayName) {
+  if (isFeatureActive(item)) {
+    ui.notifications.info(game.i18n.format("DCCCS.Card.AlreadyActive", { name: displayName }));
+    return;
+  }
+  await toggleFeature(item, true);
+  ui.notifications.info(game.i18n.format("DCCCS.Card.Applied", { name: displayName }));
+}
+
+Hooks.on("renderChatMessageHTML", (message, html) => {
+  const card = message.flags?.[MODULE_ID]?.skillCard;
+  const buttons = html.querySelector(".dcc-skill-card [data-owner-only]");
+  if (!card || !buttons) return;
+
+  const item = fromUuidSync(card.itemUuid);
+  if (!(item instanceof Item) || !item.isOwner) {
+    buttons.remove();
+    return;
+  }
+
+  buttons.addEventListener("click", async (event) => {
+    const button = event.target.closest("[data-card-action]");
+    if (!button) return;
+    event.preventDefault();
+    // The skill may have been deleted since the card was posted
+    const current = fromUuidSync(card.itemUuid);
+    if (!current) {
+      ui.notifications.warn(game.i18n.format("DCCCS.Card.Missing", { name: card.displayName }));
+      return;
+    }
+    button.disabled = true;
+    try {
+      if (button.dataset.cardAction === "roll") await rollFromCard(current, card.displayName);
+      else if (button.dataset.cardAction === "applyEffect") await applyFromCard(current, card.displayName);
+    } catch (err) {
+      console.error(`[${MODULE_ID}] Chat card action failed`, err);
+      ui.notifications.error(game.i18n.localize("DCCCS.Card.ActionFailed"));
+    } finally {
+      button.disabled = false;
+    }
+  });
+});
@@ -0,0 +1,138 @@
+// DCC Custom Class Sheet — drag-and-drop skill order
+// Dropping a row in the Custom Class tab turns into item updates here:
+//  - within a class group (weight order) the weights are rewritten, changing as few items as possible
+//  - onto another class group the class changes too; onto the occupational group it is removed
+//  - in manual order the items' `sort` field is rewritten instead of weights
+// Changed skills are written with class flags and a plain name (see getItemClassData), which also
+// migrates skills that still encode their class in the name. Level ranges are kept, except on
+// the occupational group, which has no class to hold them.
+//
+// Dependencies: utils.js (class metadata fields)
+
+import { classSkillFields, occupationalSkillFields } from "./utils.js";
+
+/** dataTransfer type that marks a drag started from a Custom Class tab row (value: item uuid) */
+export const SKILL_DRAG_TYPE = "application/x-dcc-custom-class-skill";
+
+/**
+ * Display order of two class skills in weight mode: high weight first, then alphabetical.
+ * @param {{ weight: number, name: string }} a
+ * @param {{ weight: number, name: string }} b
+ * @returns {number}
+ */
+function compareWeighted(a, b) {
+  if (b.weight !== a.weight) return b.weight - a.weight;
+  return a.name.localeCompare(b.name, undefined, { sensitivity: "base" });
+}
+
+/**
+ * Weights that make a group display in the given order.
+ * First tries to re-weight only the moved entry; if no weight fits between its new neighbours,
+ * walks the list bottom-up and raises each entry that would otherwise sort below the one under it.
+ * @param {Array<{ id: string, weight: number, name: string }>} entries - Desired order, top to bottom
+ * @param {number} movedIndex - Index of the moved entry in `entries`
+ * @returns {Map<string, number>} new weight by entry id, for changed entries only
+ */
+export function computeReorderWeights(entries, movedIndex) {
+  const changes = new Map();
+  const moved = entries[movedIndex];
+  const above = entries[movedIndex - 1];
+  const below = entries[movedIndex + 1];
+
+  const fits = (weight) => {
+    const candidate = { ...moved, weight };
+    return (!above || compareWeighted(above, candidate) < 0) && (!below || compareWeighted(candidate, below) < 0);
+  };
+  const candidates = [moved.weight];
+  if (below) candidates.push(below.weight + 1, below.weight);
+  else candidates.push(0);
+  if (above) candidates.push(above.weight - 1, above.weight);
+  const weight = candidates.find((w) => w >= 0 && fits(w));
+  if (weight !== undefined) {
+    if (weight !== moved.weight) changes.set(moved.id, weight);
+    return changes;
+  }
+
+  let next = null;
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const entry = { ...entries[i] };
+    if (next && compareWeighted(entry, next) >= 0) {
+      entry.weight = next.weight + 1;
+      changes.set(entry.id, entry.weight);
+    }
+    next = entry;
+  }
+  return changes;
+}
+
+/**
+ * Plan the item updates for dropping a skill row.
+ * @param {object} drop
+ * @param {Item} drop.item - The dragged skill
+ * @param {object[]} drop.groups - Groups of the tab's view model ({ className, isClass, skills })
+ * @param {number} drop.targetGroupIndex - Index of the group the row was dropped on
+ * @param {string|null} [drop.targetItemId] - Row it was dropped on; null drops at the end of the group
+ * @param {boolean} [drop.before] - Whether to place it before (true) or after the target row
+ * @param {string} drop.sortMode - The client's skill order setting
+ * @returns {object[]} Item updates ({ _id, name?, flags?, sort? }); empty when nothing changes
+ */
+export function planSkillDrop({ item, groups, targetGroupIndex, targetItemId = null, before = true, sortMode }) {
+  const target = groups[targetGroupIndex];
+  const source = groups.find((g) => g.skills.some((s) => s.item.id === item.id));
+  const moved = source?.skills.find((s) => s.item.id === item.id);
+  // A row dropped on itself stays where it is
+  if (!target || !moved || targetItemId === item.id) return [];
+
+  // The new order of the target group
+  const siblings = target.skills.filter((s) => s.item.id !== item.id);
+  let index = siblings.findIndex((s) => s.item.id === targetItemId);
+  index = index < 0 ? siblings.length : index + (before ? 0 : 1);
+  const order = [...siblings];
+  order.splice(index, 0, moved);
+  if (source === target && order.every((s, i) => s === target.skills[i])) return [];
+
+  const updates = new Map();
+  const update = (id) => {
+    if (!updates.has(id)) updates.set(id, { _id: id });
+    return updates.get(id);
+  };
+
+  // Class and weight of the moved skill
+  let movedWeight = source.isClass ? moved.weight : 0;
+  if (target.isClass && sortMode === "weight") {
+    const entries = order.map((s) => ({
+      id: s.item.id,
+      weight: s === moved ? movedWeight : s.weight,
+      name: s.displayName
+    }));
+    const weights = computeReorderWeights(entries, index);
+    for (const s of order) {
+      if (s === moved || !weights.has(s.item.id)) continue;
+      Object.assign(update(s.item.id), classSkillFields({
+        ...s.levels,
+        className: target.className,
+        skillName: s.displayName,
+        weight: weights.get(s.item.id)
+      }));
+    }
+    movedWeight = weights.get(item.id) ?? movedWeight;
+  }
+  if (source !== target || movedWeight !== moved.weight) {
+    Object.assign(update(item.id), target.isClass
+      ? classSkillFields({ ...moved.levels, className: target.className, skillName: moved.displayName, weight: movedWeight })
+      : occupationalSkillFields(moved.displayName));
+  }
+
+  // Manual order lives in the items' sort field
+  if (sortMode === "manual" && siblings.length) {
+    const anchor = siblings[Math.min(index, siblings.length - 1)].item;
+    const sorted = foundry.utils.performIntegerSort(item, {
+      target: anchor,
+      siblings: siblings.map((s) => s.item),
+      sortBefore: index < siblings.length
+    });
+    for (const { target: doc, update: { sort } } of sorted) update(doc.id).sort = sort;
+  }
+
+  return [...updates.values()].filter((u) => Object.keys(u).length > 1);
+}
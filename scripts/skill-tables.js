@@ -0,0 +1,293 @@
+// DCC Custom Class Sheet — RollTables for class features
+// A class skill can point to a RollTable ("roll the die, consult the table"), kept as
+// flags["dcc-custom-class-sheet"].table = { uuid }. Its skill check is rolled by the DCC system like
+// any other skill check; the roll is looked up on the table and posted together with the result
+// in one chat card instead of the system's own message.
+// The system finds skills by name, so a skill sharing its name with another skill of the actor
+// (e.g. of another class) is rolled from the actor's roll data instead.
+// In class definitions a skill's table is
+//   "table": { "uuid": "RollTable.abc", "name": "Barbarian: Rage", "formula": "1d20",
+//              "results": [{ "range": [1, 11], "text": "Nothing happens" }], "generated": true }
+// Tables the builder generated from pasted result text are flagged `generated`; their results
+// travel with the definition, so importing it in another world creates the table again.
+//
+// Dependencies: none besides init.js
+
+import { MODULE_ID } from "./init.js";
+
+/** A result line: "1-11: text", "12 – 15 | text", "16. text" or "20<Tab>text" */
+const REGEX_RESULT_LINE = /^(\d+)(?:\s*[-–—]\s*(\d+))?\s*[:|.\t]?\s*(.+)$/;
+
+/**
+ * Normalize a skill's table reference.
+ * @param {object|null} [raw]
+ * @returns {{ uuid: string|null, name: string, formula: string,
+ *   results: Array<{ range: [number, number], text: string }>, generated: boolean }|null}
+ *   null when there is neither a table nor results to create one from
+ */
+export function normalizeSkillTable(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const uuid = typeof raw.uuid === "string" && raw.uuid.trim() ? raw.uuid.trim() : null;
+  const results = (Array.isArray(raw.results) ? raw.results : [])
+    .map((r) => ({ range: [Number(r?.range?.[0]), Number(r?.range?.[1] ?? r?.range?.[0])], text: String(r?.text ?? "").trim() }))
+    .filter(({ range: [lo, hi], text }) => Number.isInteger(lo) && Number.isInteger(hi) && hi >= lo && text)
+    .sort((a, b) => a.range[0] - b.range[0]);
+  if (!uuid && !results.length) return null;
+  return {
+    uuid,
+    name: String(raw.name ?? "").trim(),
+    formula: String(raw.formula ?? "").trim(),
+    results,
+    generated: !!raw.generated || !uuid
+  };
+}
+
+/**
+ * Parse pasted result text, one result per line, e.g. "1-11: Nothing happens".
+ * @param {string} text
+ * @returns {{ results: Array<{ range: [number, number], text: string }>, errors: Array<{ row: number, line: string }> }}
+ */
+export function parseTableResults(text) {
+  const results = [];
+  const errors = [];
+  String(text ?? "").split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+    const match = trimmed.match(REGEX_RESULT_LINE);
+    const lo = match ? Number(match[1]) : NaN;
+    const hi = match?.[2] ? Number(match[2]) : lo;
+    if (!match || hi < lo) {
+      errors.push({ row: index + 1, line: trimmed });
+      return;
+    }
+    results.push({ range: [lo, hi], text: match[3].trim() });
+  });
+  return { results, errors };
+}
+
+/**
+ * Result text for the builder's text box, the inverse of parseTableResults.
+ * @param {Array<{ range: [number, number], text: string }>} results
+ * @returns {string}
+ */
+export function formatTableResults(results) {
+  return (results ?? [])
+    .map(({ range: [lo, hi], text }) => `${lo === hi ? lo : `${lo}-${hi}`}: ${text}`)
+    .join("\n");
+}
+
+/**
+ * The text of a table result: its description, or its name for document results.
+ * @param {TableResult} result
+ * @returns {string}
+ */
+function resultText(result) {
+  return String(result.description ?? result.text ?? "").trim() || result.name || "";
+}
+
+/**
+ * Read a skill item's table back as definition data. Results are included for generated tables only.
+ * @param {Item} item
+ * @returns {object|null} see normalizeSkillTable
+ */
+export function skillTableFromItem(item) {
+  const uuid = item.flags?.[MODULE_ID]?.table?.uuid;
+  if (!uuid) return null;
+  const table = fromUuidSync(uuid);
+  const generated = !!table?.flags?.[MODULE_ID]?.generated;
+  return normalizeSkillTable({
+    uuid,
+    name: table?.name ?? "",
+    formula: table?.formula ?? "",
+    results: generated && table.results
+      ? table.results.map((r) => ({ range: [...r.range], text: resultText(r) }))
+      : [],
+    generated
+  });
+}
+
+/**
+ * TableResult data for definition results.
+ * @param {Array<{ range: [number, number], text: string }>} results
+ * @returns {object[]}
+ */
+function tableResultData(results) {
+  return results.map(({ range: [lo, hi], text }) => ({
+    type: CONST.TABLE_RESULT_TYPES.TEXT,
+    range: [lo, hi],
+    weight: hi - lo + 1,
+    description: text
+  }));
+}
+
+/**
+ * The world RollTable folder generated tables of a class go into, created when missing.
+ * @param {string} className
+ * @returns {Promise<Folder>}
+ */
+async function classTableFolder(className) {
+  return game.folders.find((f) => f.type === "RollTable" && f.name === className)
+    ?? Folder.create({ name: className, type: "RollTable" });
+}
+
+/**
+ * Create or update the generated RollTables of a definition's skills and fill in their uuids.
+ * Tables that were not generated by the builder are never changed.
+ * @param {object} definition - A validated class definition; its skills' `table.uuid` are updated
+ * @returns {Promise<void>}
+ */
+export async function ensureSkillTables(definition) {
+  for (const skill of definition.skills) {
+    const table = skill.table;
+    if (!table?.results.length) continue;
+    const existing = table.uuid ? await fromUuid(table.uuid) : null;
+    if (existing instanceof RollTable) {
+      if (!existing.flags?.[MODULE_ID]?.generated || existing.pack) continue;
+      const current = existing.results.map((r) => ({ range: [...r.range], text: resultText(r) }))
+        .sort((a, b) => a.range[0] - b.range[0]);
+      if (foundry.utils.objectsEqual({ v: current }, { v: table.results })) continue;
+      await existing.deleteEmbeddedDocuments("TableResult", existing.results.map((r) => r.id));
+      await existing.createEmbeddedDocuments("TableResult", tableResultData(table.results));
+      if (table.formula && table.formula !== existing.formula) await existing.update({ formula: table.formula });
+      continue;
+    }
+    const folder = await classTableFolder(definition.name);
+    const created = await RollTable.create({
+      name: table.name || `${definition.name}: ${skill.name}`,
+      formula: table.formula || `1d${Math.max(...table.results.map((r) => r.range[1]))}`,
+      folder: folder.id,
+      results: tableResultData(table.results),
+      flags: { [MODULE_ID]: { generated: true } }
+    });
+    table.uuid = created.uuid;
+  }
+}
+
+/**
+ * Whether the DCC system's skill check, which finds skills by name, rolls this skill: the actor
+ * has it and no other item of the actor has its name.
+ * @param {Item} item - A skill on an actor
+ * @returns {boolean}
+ */
+export function systemFindsSkill(item) {
+  const actor = item.parent;
+  if (typeof actor?.rollSkillCheck !== "function" || !actor.items.has(item.id)) return false;
+  return !actor.items.some((other) => other.id !== item.id && other.name === item.name);
+}
+
+/**
+ * Roll a skill check with the DCC system (its roll dialog, modifiers and last result) and take
+ * the roll instead of letting the system post it, so tabled and untabled skills roll alike.
+ * @param {Item} item - A skill on an actor
+ * @returns {Promise<Roll|null>} null when the check was not rolled, e.g. its dialog was cancelled
+ */
+async function rollSystemSkillCheck(item) {
+  const actor = item.parent;
+  let roll = null;
+  const hookId = Hooks.on("preCreateChatMessage", (message) => {
+    if (roll || !message.rolls?.length || message.speaker?.actor !== actor.id) return;
+    roll = message.rolls[0];
+    return false;
+  });
+  try {
+    await actor.rollSkillCheck(item.name);
+  } finally {
+    Hooks.off("preCreateChatMessage", hookId);
+  }
+  return roll;
+}
+
+/**
+ * Roll a skill check from the actor's roll data, when the DCC system's skill check would not find
+ * the skill (see systemFindsSkill): die, ability modifier, value and level as the skill's config says.
+ * @param {Item} item - A skill on an actor
+ * @returns {Promise<Roll>}
+ */
+function rollFromRollData(item) {
+  const { config = {}, die, ability, value } = item.system ?? {};
+  const parts = [];
+  if (config.useDie && die) parts.push(die);
+  if (config.useAbility && ability) parts.push(`@abilities.${ability}.mod`);
+  if (config.useValue && value !== "" && value !== null && value !== undefined) parts.push(String(value));
+  if (config.useLevel) parts.push("@details.level.value");
+  const formula = parts.join(" + ").replace(/\+\s*([+-])/g, "$1 ") || "1d20";
+  return new Roll(formula, item.parent.getRollData()).evaluate();
+}
+
+/**
+ * Roll a skill without a table: with the DCC system's skill check when it finds the skill,
+ * otherwise from the actor's roll data, posted as a plain roll.
+ * @param {Item} item - A skill on an actor
+ * @param {string} displayName
+ * @returns {Promise<void>}
+ */
+export async function rollSkillCheck(item, displayName) {
+  if (systemFindsSkill(item)) {
+    await item.parent.rollSkillCheck(item.name);
+    return;
+  }
+  const roll = await rollFromRollData(item);
+  if (item.system?.config?.showLastResult) await item.update({ "system.lastResult": roll.total });
+  await roll.toMessage(
+    { speaker: ChatMessage.getSpeaker({ actor: item.parent }), flavor: displayName },
+    { rollMode: game.settings.get("core", "rollMode") }
+  );
+}
+
+/**
+ * Roll a skill that has a table: roll its check, look the total up and post both in one chat card.
+ * @param {Item} item - A skill with flags.table
+ * @param {string} displayName
+ * @returns {Promise<ChatMessage|null>} null when the table can't be found or nothing was rolled
+ */
+export async function rollSkillOnTable(item, displayName) {
+  const actor = item.parent;
+  const uuid = item.flags?.[MODULE_ID]?.table?.uuid;
+  const table = uuid ? await fromUuid(uuid) : null;
+  if (!(table instanceof RollTable)) {
+    ui.notifications.warn(game.i18n.format("DCCCS.Table.Missing", { name: displayName }));
+    return null;
+  }
+
+  const roll = systemFindsSkill(item) ? await rollSystemSkillCheck(item) : await rollFromRollData(item);
+  if (!roll) return null;
+  const results = table.getResultsForRoll(roll.total);
+  if (item.system?.config?.showLastResult) await item.update({ "system.lastResult": roll.total });
+
+  const { TextEditor } = foundry.applications.ux;
+  const resultItems = await Promise.all(results.map(async (result) => {
+    const text = result.documentUuid ? `@UUID[${result.documentUuid}]{${result.name}}` : resultText(result);
+    const html = await TextEditor.enrichHTML(text, { relativeTo: table });
+    const img = result.img && !result.img.endsWith("d20-black.svg") ? `<img src="${result.img}" alt="" width="24" height="24" style="border: none;" />` : "";
+    return `<li class="table-result flexrow" style="align-items: center; gap: 0.4rem;">${img}<div>${html}</div></li>`;
+  }));
+
+  const name = foundry.utils.escapeHTML(displayName);
+  const img = item.img || "icons/svg/item-bag.svg";
+  const content = `
+    <div class="dcc-skill-chat-message dcc-skill-table-message">
+      <div class="flexrow" style="align-items: center; gap: 0.5rem; margin-bottom: 0.5rem; border-bottom: 2px solid var(--color-border-dark); padding-bottom: 0.25rem;">
+        <img src="${img}" alt="${name}" width="36" height="36" style="border: none; flex-shrink: 0;" />
+        <h3 style="margin: 0; flex: 1; font-size: 1.1em;">${name}</h3>
+      </div>
+      ${await roll.render()}
+      <p style="margin: 0.5rem 0 0.25rem;"><strong>${foundry.utils.escapeHTML(table.name)}</strong></p>
+      ${resultItems.length
+        ? `<ul class="table-results" style="list-style: none; margin: 0; padding: 0;">${resultItems.join("")}</ul>`
+        : `<p class="hint">${game.i18n.format("DCCCS.Table.NoResult", { total: roll.total })}</p>`}
+    </div>
+  `;
+
+  const messageData = {
+    speaker: ChatMessage.getSpeaker({ actor }),
+    content,
+    rolls: [roll],
+    sound: CONFIG.sounds.dice,
+    flags: {
+      core: { canPopout: true },
+      [MODULE_ID]: { tableRoll: { itemId: item.id, tableUuid: uuid, total: roll.total } }
+    }
+  };
+  ChatMessage.applyRollMode(messageData, game.settings.get("core", "rollMode"));
+  return ChatMessage.create(messageData);
+}
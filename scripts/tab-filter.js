@@ -0,0 +1,109 @@
+// DCC Custom Class Sheet — filtering and collapsing the Custom Class tab
+// The filter (text and "rollable only") lives on the open sheet and is applied to the rendered
+// rows directly, so typing never re-renders the sheet. Collapsed groups are remembered per user
+// and per actor in the user's flags["dcc-custom-class-sheet"].collapsedGroups: { [actorId]: [groupKey] }.
+//
+// Dependencies: none besides init.js
+
+import { MODULE_ID } from "./init.js";
+
+/**
+ * The key a group's collapsed state is stored under.
+ * @param {{ className: string, isClass: boolean }} group
+ * @returns {string}
+ */
+export function groupKey({ className, isClass }) {
+  return isClass ? `class:${className.toLowerCase()}` : "occupational";
+}
+
+/**
+ * Keys of the groups the current user collapsed on an actor's sheet.
+ * @param {Actor} actor
+ * @returns {Set<string>}
+ */
+export function getCollapsedGroups(actor) {
+  const collapsed = game.user.getFlag(MODULE_ID, "collapsedGroups")?.[actor.id];
+  return new Set(Array.isArray(collapsed) ? collapsed : []);
+}
+
+/**
+ * Remember whether a group is collapsed on an actor's sheet, for the current user.
+ * @param {Actor} actor
+ * @param {string} key - See groupKey
+ * @param {boolean} collapsed
+ * @returns {Promise<User>}
+ */
+export function setGroupCollapsed(actor, key, collapsed) {
+  const keys = getCollapsedGroups(actor);
+  if (collapsed) keys.add(key);
+  else keys.delete(key);
+  return game.user.setFlag(MODULE_ID, "collapsedGroups", { [actor.id]: [...keys] });
+}
+
+/**
+ * Whether a skill has something to roll or show: a die to roll, or a last result.
+ * @param {Item} item
+ * @returns {boolean}
+ */
+export function isRollableSkill(item) {
+  const system = item.system ?? {};
+  const hasDie = !!(system.config?.useDie && system.die);
+  const hasResult = system.lastResult !== undefined && system.lastResult !== null && String(system.lastResult).trim() !== "";
+  return hasDie || hasResult;
+}
+
+/**
+ * Plain lowercase text of a skill for filtering: its display name and description.
+ * @param {string} displayName
+ * @param {string} descriptionHTML - Enriched description, so hidden secrets are not searched
+ * @returns {string}
+ */
+export function skillSearchText(displayName, descriptionHTML) {
+  const div = document.createElement("div");
+  div.innerHTML = descriptionHTML;
+  return `${displayName} ${div.textContent}`.replace(/\s+/g, " ").toLowerCase();
+}
+
+/**
+ * Whether a skill row passes the filter. Every word of the text has to occur.
+ * @param {{ searchText: string, rollable: boolean }} skill
+ * @param {{ text: string, rollableOnly: boolean }} filter
+ * @returns {boolean}
+ */
+export function skillMatchesFilter({ searchText, rollable }, { text, rollableOnly }) {
+  if (rollableOnly && !rollable) return false;
+  const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+  return words.every((word) => searchText.includes(word));
+}
+
+/**
+ * Show only the matching rows of a rendered Custom Class panel. Groups without a match are hidden,
+ * and while filtering, collapsed groups open so their matches show.
+ * @param {HTMLElement} panel - The customClass part
+ * @param {{ text: string, rollableOnly: boolean }} filter
+ */
+export function applySkillFilter(panel, filter) {
+  const active = !!filter.text.trim() || filter.rollableOnly;
+  for (const section of panel.querySelectorAll(".ccc-wrap")) {
+    section.classList.toggle("ccc-filtering", active);
+    let visible = 0;
+    for (const list of section.querySelectorAll("ol.skill-list[data-group-index]")) {
+      let matches = 0;
+      for (const row of list.querySelectorAll("li.item[data-item-id]")) {
+        const match = skillMatchesFilter({
+          searchText: row.dataset.searchText ?? "",
+          rollable: row.dataset.rollable === "true"
+        }, filter);
+        row.hidden = !match;
+        if (match) matches++;
+      }
+      const hidden = active && !matches;
+      list.classList.toggle("ccc-filtered-out", hidden);
+      section.querySelector(`.ccc-group-header[data-group-index="${list.dataset.groupIndex}"]`)
+        ?.classList.toggle("ccc-filtered-out", hidden);
+      visible += matches;
+    }
+    const empty = section.querySelector(".ccc-filter-empty");
+    if (empty) empty.hidden = !active || visible > 0;
+  }
+}
@@ -1,99 +1,281 @@
 // DCC Custom Class Sheet — shared helpers
 // Centralizes small logic helpers used by the custom sheet.
-// Keep pure functions only — no Foundry stateful code except ChatMessage.create.
+// Keep pure functions only — no Foundry stateful code.
 
-import { MODULE_ID, REGEX_PREFIXED_SKILL, REGEX_NAMING_ITEM, NAMING_TOKEN } from "./init.js";
+import { MODULE_ID, REGEX_PREFIXED_SKILL } from "./init.js";
+import { getNamingToken, getDefaultIcon, getSortMode, getLockedMode } from "./settings.js";
 
 /**
- * Parse the name of a Skill item for a class prefix and optional weight.
+ * Parse the name of a Skill item for a class prefix, optional weight and optional level range.
  * @param {string} name - The Item's name.
- * @returns {{ className: string, weight: number, skillName: string }|null}
+ * @returns {{ className: string, weight: number, minLevel: number|null, maxLevel: number|null, skillName: string }|null}
  */
 export function parsePrefixedSkillName(name) {
   const match = name.match(REGEX_PREFIXED_SKILL);
   if (!match) return null;
-  const [, cls, weight, skillName] = match;
+  const [, cls, weight, minLevel, maxLevel, skillName] = match;
   return {
     className: cls.trim(),
     weight: weight ? parseInt(weight, 10) : 0,
+    minLevel: minLevel ? parseInt(minLevel, 10) : null,
+    maxLevel: maxLevel ? parseInt(maxLevel, 10) : null,
     skillName: skillName.trim(),
   };
 }
 
 /**
- * Check whether a skill name designates a CUSTOMCLASS label.
+ * Whether a level-gated skill is out of reach at the given character level.
+ * @param {{ minLevel: number|null, maxLevel: number|null }} parsed - result of parsePrefixedSkillName
+ * @param {number} level - The character's level
+ * @returns {{ reason: "min"|"max", level: number }|null} why it is locked, or null when available
+ */
+export function getSkillLock(parsed, level) {
+  if (parsed.minLevel && level < parsed.minLevel) return { reason: "min", level: parsed.minLevel };
+  if (parsed.maxLevel && level > parsed.maxLevel) return { reason: "max", level: parsed.maxLevel };
+  return null;
+}
+
+/** Naming item regexes by token, so the world setting is compiled only once */
+const namingRegexCache = new Map();
+
+/**
+ * Regex for the naming item that controls the tab label, for the configured naming token.
+ * Examples (default token):
+ *  - "(CUSTOMCLASS)Salesman"  => label = "Salesman"
+ *  - "(customclass)Bard"      => label = "Bard" (case-insensitive)
+ *
+ * Groups:
+ *  1: label text (trimmed)
+ * @returns {RegExp}
+ */
+function getNamingItemRegex() {
+  const token = getNamingToken();
+  let regex = namingRegexCache.get(token);
+  if (!regex) {
+    const escaped = token.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    regex = new RegExp(`^\\(\\s*${escaped}\\s*\\)\\s*(.+)$`, "i");
+    namingRegexCache.set(token, regex);
+  }
+  return regex;
+}
+
+/**
+ * Check whether a skill name designates a naming item (CUSTOMCLASS label).
  * @param {string} name
  * @returns {string|null} label if match, else null.
  */
 export function parseNamingItem(name) {
-  const m = name.match(REGEX_NAMING_ITEM);
+  const m = name.match(getNamingItemRegex());
   if (!m) return null;
   return m[1].trim();
 }
 
+/**
+ * Class metadata of an item. Items written by this module carry it in
+ * flags["dcc-custom-class-sheet"] = { className, weight, minLevel, maxLevel, naming, icon }
+ * and keep a plain name; hand-made or not yet migrated items encode it in their name
+ * ("(Barbarian^10@3)Rage", "(CUSTOMCLASS)Barbarian"), which is parsed as a fallback.
+ * @param {Item|object} item - An Item document or item data
+ * @returns {{ naming: boolean, className: string, weight: number, minLevel: number|null,
+ *   maxLevel: number|null, skillName: string, icon: string|null, fromFlags: boolean }|null}
+ *   null for occupational skills and items that are not skills
+ */
+export function getItemClassData(item) {
+  if ((item.type ?? "").toLowerCase() !== "skill") return null;
+  const flags = item.flags?.[MODULE_ID] ?? {};
+  const descriptionHTML = item.system?.description?.value || "";
+
+  if (flags.className) {
+    const className = String(flags.className);
+    if (flags.naming) {
+      const icon = flags.icon || parseCustomClassIcon(descriptionHTML);
+      return { naming: true, className, weight: 0, minLevel: null, maxLevel: null, skillName: className, icon, fromFlags: true };
+    }
+    // A flagged item may still carry the prefix it had before (e.g. renamed by hand)
+    const parsed = parsePrefixedSkillName(item.name);
+    const prefixed = parsed && parsed.className.toLowerCase() === className.toLowerCase();
+    return {
+      naming: false,
+      className,
+      weight: Number(flags.weight) || 0,
+      minLevel: Number(flags.minLevel) || null,
+      maxLevel: Number(flags.maxLevel) || null,
+      skillName: prefixed ? parsed.skillName : item.name.trim(),
+      icon: null,
+      fromFlags: true
+    };
+  }
+
+  const label = parseNamingItem(item.name);
+  if (label) {
+    const icon = parseCustomClassIcon(descriptionHTML);
+    return { naming: true, className: label, weight: 0, minLevel: null, maxLevel: null, skillName: label, icon, fromFlags: false };
+  }
+
+  const parsed = parsePrefixedSkillName(item.name);
+  // Guard against someone using "(CUSTOMCLASS)X" as a prefixed name
+  if (!parsed || parsed.className.toLowerCase() === getNamingToken().toLowerCase()) return null;
+  return { naming: false, ...parsed, icon: null, fromFlags: false };
+}
+
+/**
+ * Name and flags for a class skill — the data to create or update it with.
+ * @param {{ className: string, skillName: string, weight?: number, minLevel?: number|null, maxLevel?: number|null }} data
+ * @returns {{ name: string, flags: object }}
+ */
+export function classSkillFields({ className, skillName, weight = 0, minLevel = null, maxLevel = null }) {
+  return {
+    name: skillName,
+    flags: { [MODULE_ID]: { className, weight, minLevel: minLevel || null, maxLevel: maxLevel || null, naming: false } }
+  };
+}
+
+/**
+ * Name and flags for a class naming item.
+ * @param {string} className
+ * @param {string|null} [icon] - FontAwesome class for the tab
+ * @returns {{ name: string, flags: object }}
+ */
+export function namingItemFields(className, icon = null) {
+  return {
+    name: className,
+    flags: { [MODULE_ID]: { className, naming: true, icon: icon || null } }
+  };
+}
+
+/**
+ * Name and flags that turn a class skill into an occupational one. The class flag is cleared
+ * rather than deleted, which getItemClassData reads as "no flags".
+ * @param {string} skillName
+ * @returns {{ name: string, flags: object }}
+ */
+export function occupationalSkillFields(skillName) {
+  return { name: skillName, flags: { [MODULE_ID]: { className: null } } };
+}
+
 /**
  * Build grouped and sorted data structure for the actor’s prefixed skills.
+ * Skills outside their level range carry a `lock` (see getSkillLock); with the "hide" locked
+ * features setting they are left out for players.
  * @param {Actor} actor - Actor whose items we analyze.
- * @returns {{ [className: string]: Array<Item> }}
+ * @returns {{ grouped: { [className: string]: Array<{ item: Item, parsed: object, lock: object|null }> }, occupational: Item[] }}
+ *   `parsed` is the item's getItemClassData
  */
 export function groupActorSkills(actor) {
   const grouped = {};
   const occupational = [];
+  const level = Number(actor.system?.details?.level?.value) || 0;
+  const hideLocked = getLockedMode() === "hide" && !game.user?.isGM;
 
   for (const item of actor.items) {
     // Only Skill items
     if ((item.type ?? "").toLowerCase() !== "skill") continue;
 
-    // Skip naming items: (CUSTOMCLASS)Foo - completely hidden
-    if (parseNamingItem(item.name)) continue;
+    const parsed = getItemClassData(item);
 
-    const parsed = parsePrefixedSkillName(item.name);
-    
-    // No prefix = occupational skill
+    // No class = occupational skill
     if (!parsed) {
       occupational.push(item);
       continue;
     }
 
-    // Guard against someone using "(CUSTOMCLASS)X" as a prefixed name
-    if (parsed.className.trim().toLowerCase() === NAMING_TOKEN.toLowerCase()) continue;
+    // Skip naming items: (CUSTOMCLASS)Foo - completely hidden
+    if (parsed.naming) continue;
+
+    const lock = getSkillLock(parsed, level);
+    if (lock && hideLocked) continue;
 
     const { className } = parsed;
     if (!grouped[className]) grouped[className] = [];
-    grouped[className].push({ item, parsed });
+    grouped[className].push({ item, parsed, lock });
   }
 
-  // Sort each prefixed group: high weight first, then alphabetical
+  // Sort each prefixed group by the configured mode: high weight first (the default),
+  // alphabetical, or manual (the items' own sort order)
+  const sortMode = getSortMode();
+  const byName = (a, b) => a.parsed.skillName.localeCompare(b.parsed.skillName, undefined, { sensitivity: "base" });
   for (const className of Object.keys(grouped)) {
     grouped[className].sort((a, b) => {
-      if (b.parsed.weight !== a.parsed.weight) return b.parsed.weight - a.parsed.weight;
-      return a.parsed.skillName.localeCompare(b.parsed.skillName, undefined, { sensitivity: "base" });
+      if (sortMode === "weight" && b.parsed.weight !== a.parsed.weight) return b.parsed.weight - a.parsed.weight;
+      if (sortMode === "manual" && a.item.sort !== b.item.sort) return (a.item.sort ?? 0) - (b.item.sort ?? 0);
+      return byName(a, b);
     });
   }
 
-  // Sort occupational skills alphabetically by name
-  occupational.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: "base" }));
+  // Occupational skills have no weight: alphabetical, or manual order when chosen
+  occupational.sort((a, b) => {
+    if (sortMode === "manual" && a.sort !== b.sort) return (a.sort ?? 0) - (b.sort ?? 0);
+    return a.name.localeCompare(b.name, undefined, { sensitivity: "base" });
+  });
 
   return { grouped, occupational };
 }
 
 
 /**
- * Find a (CUSTOMCLASS) naming item and return its label.
+ * All (CUSTOMCLASS) naming items of an actor, one per class, in a stable order: by the items'
+ * sort order, then by class name. Each one gives the actor a Custom Class tab; the first is the
+ * primary tab, which also holds skills of classes without a naming item.
+ * @param {Actor} actor
+ * @returns {Item[]}
+ */
+export function getNamingItems(actor) {
+  const byClass = new Map();
+  const namingSkills = actor.items
+    .map((item) => ({ item, data: getItemClassData(item) }))
+    .filter(({ data }) => data?.naming)
+    .sort((a, b) => ((a.item.sort ?? 0) - (b.item.sort ?? 0))
+      || a.data.className.localeCompare(b.data.className, undefined, { sensitivity: "base" }));
+  // A class applied twice still gets a single tab
+  for (const { item, data } of namingSkills) {
+    const key = data.className.toLowerCase();
+    if (!byClass.has(key)) byClass.set(key, item);
+  }
+  return [...byClass.values()];
+}
+
+/**
+ * Find the naming item of the actor's primary Custom Class tab.
+ * @param {Actor} actor
+ * @returns {Item|null}
+ */
+export function getNamingItem(actor) {
+  return getNamingItems(actor)[0] ?? null;
+}
+
+/**
+ * Find the primary (CUSTOMCLASS) naming item and return its label.
  * @param {Actor} actor
  * @returns {string|null} the custom tab label or null if not found
  */
 export function getCustomClassLabel(actor) {
-  // Search actor's skills for naming items
-  const namingSkills = actor.items.filter(
-    (i) => (i.type ?? "").toLowerCase() === "skill" && parseNamingItem(i.name)
-  );
-  if (!namingSkills.length) return null;
-  // simplest logic: pick the last one in update order (least code)
-  namingSkills.sort((a, b) => (a.updateTime || 0) - (b.updateTime || 0));
-  const last = namingSkills.at(-1);
-  const label = parseNamingItem(last.name);
-  return label;
+  const namingItem = getNamingItem(actor);
+  return namingItem ? getItemClassData(namingItem).className : null;
+}
+
+/** Matches the <p>icon: fa-whatever</p> line of a (CUSTOMCLASS) description (case-insensitive, handles whitespace). */
+const REGEX_ICON_LINE = /<p>\s*icon:\s*([a-z0-9\- ]+?)\s*<\/p>/i;
+
+/** A class icon: one FontAwesome icon class, optionally after a style class ("fa-brands fa-github") */
+const REGEX_ICON_CLASS = /^(?:fa-(?:solid|regular|brands)\s+)?fa-[a-z0-9\-]+$/i;
+
+/**
+ * Whether a value is a usable class icon (see REGEX_ICON_CLASS).
+ * @param {string} iconClass
+ * @returns {boolean}
+ */
+export function isIconClass(iconClass) {
+  return typeof iconClass === "string" && REGEX_ICON_CLASS.test(iconClass.trim());
+}
+
+/**
+ * The classes to render a class icon with: icons without a style are solid.
+ * @param {string} iconClass - e.g. "fa-skull" or "fa-regular fa-moon"
+ * @returns {string}
+ */
+export function iconDisplayClass(iconClass) {
+  if (iconClass.startsWith("fa-") && !/^fa-(solid|regular|brands)\b/.test(iconClass)) return `fa-solid ${iconClass}`;
+  return iconClass;
 }
 
 /**
@@ -105,78 +287,38 @@ export function getCustomClassLabel(actor) {
 export function parseCustomClassIcon(descriptionHTML) {
   if (!descriptionHTML) return null;
   
-  // Match <p>icon: fa-whatever</p> (case-insensitive, handles whitespace)
-  const match = descriptionHTML.match(/<p>\s*icon:\s*([a-z0-9\-]+)\s*<\/p>/i);
+  const match = descriptionHTML.match(REGEX_ICON_LINE);
   if (!match) return null;
   
-  const iconClass = match[1].trim();
+  const iconClass = match[1].trim().replace(/\s+/g, " ");
   
-  // Basic validation: must start with 'fa-'
-  if (!/^fa-[a-z0-9\-]+$/i.test(iconClass)) return null;
+  // Basic validation: an fa- icon class, optionally with its style
+  if (!isIconClass(iconClass)) return null;
   
   return iconClass;
 }
 
 /**
- * Get the custom icon class for the actor's custom class tab.
- * Reads from the (CUSTOMCLASS) naming skill's description.
- * @param {Actor} actor
- * @returns {string} FontAwesome class (with fa-solid prefix if needed) or default placeholder
+ * Remove the icon line from a (CUSTOMCLASS) description, leaving only the lore HTML.
+ * @param {string} descriptionHTML
+ * @returns {string}
  */
-export function getCustomClassIcon(actor) {
-  const DEFAULT_ICON = "fa-solid fa-circle-exclamation";
-  
-  // Find the (CUSTOMCLASS) naming skill
-  const namingSkills = actor.items.filter(
-    (i) => (i.type ?? "").toLowerCase() === "skill" && parseNamingItem(i.name)
-  );
-  
-  if (!namingSkills.length) return DEFAULT_ICON;
-  
-  // Use the most recently updated one (same logic as getCustomClassLabel)
-  namingSkills.sort((a, b) => (a.updateTime || 0) - (b.updateTime || 0));
-  const namingSkill = namingSkills.at(-1);
-  
-  const descriptionHTML = namingSkill.system?.description?.value || "";
-  const iconClass = parseCustomClassIcon(descriptionHTML);
-  
-  if (!iconClass) return DEFAULT_ICON;
-  
-  // Auto-prepend fa-solid if user only provided fa-something
-  if (iconClass.startsWith("fa-") && !iconClass.startsWith("fa-solid") && !iconClass.startsWith("fa-regular") && !iconClass.startsWith("fa-brands")) {
-    return `fa-solid ${iconClass}`;
-  }
-  
-  return iconClass;
+export function stripCustomClassIcon(descriptionHTML) {
+  return (descriptionHTML || "").replace(REGEX_ICON_LINE, "").trim();
 }
 
 /**
- * Create a simple chat message for a skill's description.
- * Uses unprefixed name and includes skill image.
- * @param {Item} item - The skill item
- * @param {string} displayName - The unprefixed skill name to display
+ * Get the custom icon class for one of the actor's custom class tabs.
+ * Reads the naming skill's icon flag, or the icon line of its description.
+ * @param {Actor} actor
+ * @param {Item|null} [namingSkill] - Naming item of the tab; defaults to the primary one
+ * @returns {string} FontAwesome class (with fa-solid prefix if needed) or the configured default icon
  */
-export async function postSkillToChat(item, displayName) {
-  const name = displayName || item.name;
-  const html = item.system?.description?.value || "";
-  const img = item.img || "icons/svg/item-bag.svg";
-  
-  // Build chat content using Foundry's chat message structure
-  const content = `
-    <div class="dcc-skill-chat-message">
-      <div class="flexrow" style="align-items: center; gap: 0.5rem; margin-bottom: 0.5rem; border-bottom: 2px solid var(--color-border-dark); padding-bottom: 0.25rem;">
-        <img src="${img}" alt="${name}" width="36" height="36" style="border: none; flex-shrink: 0;" />
-        <h3 style="margin: 0; flex: 1; font-size: 1.1em;">${name}</h3>
-      </div>
-      <div class="skill-description">${html}</div>
-    </div>
-  `;
-  
-  await ChatMessage.create({ 
-    speaker: ChatMessage.getSpeaker({ actor: item.actor }), 
-    content,
-    flags: { core: { canPopout: true } }
-  });
+export function getCustomClassIcon(actor, namingSkill = getNamingItem(actor)) {
+  const iconClass = (namingSkill && getItemClassData(namingSkill).icon) || getDefaultIcon();
+
+  // Auto-prepend fa-solid if user only provided fa-something
+  return iconDisplayClass(iconClass);
 }
 
 /**
@@ -186,7 +328,7 @@ export async function postSkillToChat(item, displayName) {
  */
 export async function purgeNamingItems(actor) {
   const toDelete = actor.items
-    .filter((i) => (i.type ?? "").toLowerCase() === "skill" && parseNamingItem(i.name))
+    .filter((i) => getItemClassData(i)?.naming)
     .map((i) => i.id);
   if (!toDelete.length) return;
   await actor.deleteEmbeddedDocuments("Item", toDelete);
@@ -0,0 +1,200 @@
+// DCC Custom Class Sheet — tests for class definition documents (scripts/class-definition.js)
+import "./setup.mjs";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  CLASS_DEFINITION_TYPE,
+  CLASS_SCHEMA_VERSION,
+  DEFAULT_SKILL_CONFIG,
+  parseSkillRows,
+  validateClassDefinition
+} from "../scripts/class-definition.js";
+
+/**
+ * A minimal valid definition, with overrides.
+ * @param {object} [overrides]
+ * @returns {object}
+ */
+function definition(overrides = {}) {
+  return {
+    type: CLASS_DEFINITION_TYPE,
+    schemaVersion: CLASS_SCHEMA_VERSION,
+    name: "Barbarian",
+    skills: [{ name: "Rage", weight: 10 }],
+    ...overrides
+  };
+}
+
+/**
+ * A definition with one skill built from the given fields.
+ * @param {object} skill
+ * @returns {object}
+ */
+function withSkill(skill) {
+  return definition({ skills: [{ name: "Rage", ...skill }] });
+}
+
+describe("validateClassDefinition", () => {
+  it("normalizes a minimal definition", () => {
+    const result = validateClassDefinition(definition());
+    assert.equal(result.type, CLASS_DEFINITION_TYPE);
+    assert.equal(result.schemaVersion, CLASS_SCHEMA_VERSION);
+    assert.equal(result.name, "Barbarian");
+    assert.equal(result.icon, null);
+    assert.deepEqual(result.resources, []);
+    assert.deepEqual(result.equipment, []);
+    assert.equal(result.skills.length, 1);
+    assert.deepEqual(
+      { ...result.skills[0], config: undefined },
+      {
+        name: "Rage",
+        weight: 10,
+        minLevel: null,
+        maxLevel: null,
+        description: "",
+        img: null,
+        ability: "",
+        die: "1d20",
+        value: "",
+        config: undefined,
+        effect: null,
+        uses: null,
+        table: null
+      }
+    );
+    assert.deepEqual(result.skills[0].config, DEFAULT_SKILL_CONFIG);
+  });
+
+  it("rejects documents that are not class definitions", () => {
+    assert.throws(() => validateClassDefinition(null), /Invalid\.Type/);
+    assert.throws(() => validateClassDefinition({ ...definition(), type: "something-else" }), /Invalid\.Type/);
+  });
+
+  it("rejects unknown and newer schema versions", () => {
+    assert.throws(() => validateClassDefinition(definition({ schemaVersion: "one" })), /Invalid\.Version/);
+    assert.throws(() => validateClassDefinition(definition({ schemaVersion: 0 })), /Invalid\.Version/);
+    assert.throws(() => validateClassDefinition(definition({ schemaVersion: CLASS_SCHEMA_VERSION + 1 })), /Invalid\.Newer/);
+  });
+
+  it("requires a name and a skills list", () => {
+    assert.throws(() => validateClassDefinition(definition({ name: "  " })), /Invalid\.Name/);
+    assert.throws(() => validateClassDefinition(definition({ skills: "Rage" })), /Invalid\.Skills/);
+  });
+
+  it("reports the row of a bad skill", () => {
+    assert.throws(() => validateClassDefinition(definition({ skills: [{ name: "Rage" }, "Roar"] })), /Invalid\.Skill {"row":2}/);
+    assert.throws(() => validateClassDefinition(withSkill({ name: "" })), /Invalid\.SkillName/);
+  });
+
+  it("accepts whole weights of 0 or more only", () => {
+    assert.equal(validateClassDefinition(withSkill({ weight: "7" })).skills[0].weight, 7);
+    assert.throws(() => validateClassDefinition(withSkill({ weight: -1 })), /Invalid\.SkillWeight/);
+    assert.throws(() => validateClassDefinition(withSkill({ weight: 1.5 })), /Invalid\.SkillWeight/);
+  });
+
+  it("checks level ranges", () => {
+    const [skill] = validateClassDefinition(withSkill({ minLevel: 3, maxLevel: 7 })).skills;
+    assert.equal(skill.minLevel, 3);
+    assert.equal(skill.maxLevel, 7);
+    assert.throws(() => validateClassDefinition(withSkill({ minLevel: 7, maxLevel: 3 })), /Invalid\.SkillLevel/);
+    assert.throws(() => validateClassDefinition(withSkill({ minLevel: "x" })), /Invalid\.SkillLevel/);
+  });
+
+  it("accepts DCC ability keys only", () => {
+    assert.equal(validateClassDefinition(withSkill({ ability: "AGL" })).skills[0].ability, "agl");
+    assert.equal(validateClassDefinition(withSkill({ ability: "" })).skills[0].ability, "");
+    assert.throws(() => validateClassDefinition(withSkill({ ability: "strength" })), /Invalid\.SkillAbility/);
+    assert.throws(() => validateClassDefinition(withSkill({ ability: { key: "str" } })), /Invalid\.SkillAbility/);
+  });
+
+  it("accepts single dice only, and no die for skills that don't roll one", () => {
+    assert.equal(validateClassDefinition(withSkill({ die: "d14" })).skills[0].die, "1d14");
+    assert.equal(validateClassDefinition(withSkill({ die: "", config: { useDie: false } })).skills[0].die, "");
+    assert.throws(() => validateClassDefinition(withSkill({ die: "1d20+2" })), /Invalid\.SkillDie/);
+    assert.throws(() => validateClassDefinition(withSkill({ die: "" })), /Invalid\.SkillDie/);
+  });
+
+  it("keeps string and number values only", () => {
+    assert.equal(validateClassDefinition(withSkill({ value: 3 })).skills[0].value, "3");
+    assert.equal(validateClassDefinition(withSkill({ value: "+2" })).skills[0].value, "+2");
+    assert.equal(validateClassDefinition(withSkill({ value: { bonus: 2 } })).skills[0].value, "");
+    assert.equal(validateClassDefinition(withSkill({ value: [1, 2] })).skills[0].value, "");
+  });
+
+  it("keeps only known boolean config switches", () => {
+    const { config } = validateClassDefinition(withSkill({ config: { useLevel: true, useDie: "yes", extra: true } })).skills[0];
+    assert.deepEqual(config, { ...DEFAULT_SKILL_CONFIG, useLevel: true });
+  });
+
+  it("drops icons that are not FontAwesome classes", () => {
+    assert.equal(validateClassDefinition(definition({ icon: "fa-regular   fa-moon" })).icon, "fa-regular fa-moon");
+    assert.equal(validateClassDefinition(definition({ icon: "skull" })).icon, null);
+  });
+
+  it("gives skills without an image the class default", () => {
+    const result = validateClassDefinition(definition({
+      skillImg: "icons/default.webp",
+      skills: [{ name: "Rage" }, { name: "Roar", img: "icons/roar.webp" }]
+    }));
+    assert.deepEqual(result.skills.map((s) => s.img), ["icons/default.webp", "icons/roar.webp"]);
+  });
+});
+
+describe("parseSkillRows", () => {
+  it("reads name, weight, description, die and ability in that order", () => {
+    const { skills, errors } = parseSkillRows("Rage,10,Gets angry,d20,str\nRoar,5");
+    assert.deepEqual(errors, []);
+    assert.deepEqual(skills, [
+      { row: 1, skill: { name: "Rage", weight: 10, description: "<p>Gets angry</p>", ability: "str", die: "1d20" } },
+      { row: 2, skill: { name: "Roar", weight: 5, description: "", ability: "", die: "1d20" } }
+    ]);
+  });
+
+  it("takes the column order from a header row", () => {
+    const { skills } = parseSkillRows("Name,Ability,Die\nRage,Strength,1d16");
+    assert.deepEqual(skills[0].skill, { name: "Rage", weight: 0, description: "", ability: "str", die: "1d16" });
+  });
+
+  it("uses tabs when the first line has one", () => {
+    const { skills } = parseSkillRows("Rage\t10\tHits, hard\nRoar\t5");
+    assert.deepEqual(skills.map((s) => [s.skill.name, s.skill.weight, s.skill.description]), [
+      ["Rage", 10, "<p>Hits, hard</p>"],
+      ["Roar", 5, ""]
+    ]);
+  });
+
+  it("reads quoted cells with delimiters, quotes and line breaks", () => {
+    const { skills } = parseSkillRows('Rage,10,"Says ""grr"",\nthen hits"\nRoar,5');
+    assert.equal(skills[0].skill.description, "<p>Says &#34;grr&#34;,\nthen hits</p>");
+    assert.deepEqual(skills.map((s) => s.row), [1, 3]);
+  });
+
+  it("escapes plain text descriptions", () => {
+    const { skills } = parseSkillRows("Rage,10,roll < 10 & hit");
+    assert.equal(skills[0].skill.description, "<p>roll &#60; 10 &#38; hit</p>");
+  });
+
+  it("skips blank lines and a byte order mark", () => {
+    const { skills, errors } = parseSkillRows("\uFEFFRage,10\r\n\r\n  \nRoar,5\r\n");
+    assert.deepEqual(errors, []);
+    assert.deepEqual(skills.map((s) => [s.row, s.skill.name]), [[1, "Rage"], [4, "Roar"]]);
+  });
+
+  it("reports bad rows by row number and keeps the good ones", () => {
+    const { skills, errors } = parseSkillRows([
+      "Rage,10",
+      ",5",
+      "Roar,-1",
+      "Howl,1,,d20+1",
+      "Stomp,1,,d6,might",
+      "Leap,2,,d6,Agility"
+    ].join("\n"));
+    assert.deepEqual(skills.map((s) => s.skill.name), ["Rage", "Leap"]);
+    assert.deepEqual(errors.map((e) => [e.row, e.message.split(" ")[0]]), [
+      [2, "DCCCS.Bulk.Error.Name"],
+      [3, "DCCCS.Bulk.Error.Weight"],
+      [4, "DCCCS.Bulk.Error.Die"],
+      [5, "DCCCS.Bulk.Error.Ability"]
+    ]);
+  });
+});
@@ -0,0 +1,120 @@
+// DCC Custom Class Sheet — tests for editing classes in place (scripts/class-sync.js)
+import "./setup.mjs";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { CLASS_DEFINITION_TYPE, CLASS_SCHEMA_VERSION, validateClassDefinition } from "../scripts/class-definition.js";
+import { diffClassDefinitions } from "../scripts/class-sync.js";
+import { CustomClassBuilder } from "../scripts/class-builder.js";
+
+/**
+ * A validated definition whose skills carry source ids, as the builder loads it for editing.
+ * @param {object} [overrides]
+ * @returns {object}
+ */
+function loaded(overrides = {}) {
+  const definition = validateClassDefinition({
+    type: CLASS_DEFINITION_TYPE,
+    schemaVersion: CLASS_SCHEMA_VERSION,
+    name: "Barbarian",
+    skills: [{ name: "Rage", weight: 10 }, { name: "Roar", weight: 5 }],
+    ...overrides
+  });
+  definition.skills.forEach((skill, index) => { skill.sourceId = `skill${index}`; });
+  return definition;
+}
+
+/**
+ * The definition with some of its parts changed, like an edit in the builder.
+ * @param {object} definition
+ * @param {Function} edit - Changes a copy of the definition
+ * @returns {object}
+ */
+function edited(definition, edit) {
+  const copy = structuredClone(definition);
+  edit(copy);
+  return copy;
+}
+
+describe("diffClassDefinitions", () => {
+  it("finds no changes in an untouched class", () => {
+    const before = loaded();
+    const diff = diffClassDefinitions(before, structuredClone(before));
+    assert.equal(diff.hasChanges, false);
+    assert.equal(diff.classChanged, false);
+  });
+
+  it("lists added, removed, renamed, re-weighted and updated skills", () => {
+    const before = loaded({ skills: [{ name: "Rage", weight: 10 }, { name: "Roar", weight: 5 }, { name: "Howl" }] });
+    const after = edited(before, (d) => {
+      d.skills[0].name = "Fury";
+      d.skills[1].weight = 7;
+      d.skills[1].die = "1d24";
+      d.skills.splice(2, 1);
+      d.skills.push({ ...d.skills[0], name: "Stomp", sourceId: undefined });
+    });
+    const diff = diffClassDefinitions(before, after);
+    assert.deepEqual(diff.renamed, [{ from: "Rage", to: "Fury" }]);
+    assert.deepEqual(diff.reweighted, [{ name: "Roar", from: 5, to: 7 }]);
+    assert.deepEqual(diff.updated, ["Roar"]);
+    assert.deepEqual(diff.removed, ["Howl"]);
+    assert.deepEqual(diff.added, ["Stomp"]);
+    assert.equal(diff.hasChanges, true);
+  });
+
+  it("reports a renamed class", () => {
+    const diff = diffClassDefinitions(loaded(), edited(loaded(), (d) => { d.name = "Berserker"; }));
+    assert.deepEqual(diff.renamedClass, { from: "Barbarian", to: "Berserker" });
+    assert.equal(diff.hasChanges, true);
+  });
+
+  it("reports class-level changes", () => {
+    const changes = [
+      (d) => { d.icon = "fa-skull"; },
+      (d) => { d.description = "<p>Other lore</p>"; },
+      (d) => { d.img = "icons/other.webp"; },
+      (d) => { d.overview.hitDie = "1d12"; },
+      (d) => { d.resources = [{ id: "fury", name: "Fury", max: "3" }]; },
+      (d) => { d.progression = [{ level: 1, title: "Savage" }]; }
+    ];
+    for (const change of changes) {
+      assert.equal(diffClassDefinitions(loaded(), edited(loaded(), change)).classChanged, true, String(change));
+    }
+  });
+
+  it("treats a missing and an empty icon alike", () => {
+    const before = loaded();
+    assert.equal(before.icon, null);
+    assert.equal(diffClassDefinitions(before, edited(before, (d) => { d.icon = ""; })).classChanged, false);
+  });
+
+  it("lists added and removed kit items", () => {
+    const before = loaded({ equipment: [{ name: "Battleaxe", type: "weapon" }, { name: "Furs", type: "armor" }] });
+    before.equipment.forEach((entry, index) => { entry.sourceId = `kit${index}`; });
+    const after = edited(before, (d) => {
+      d.equipment.splice(1, 1);
+      d.equipment.push({ name: "Rope", type: "equipment", data: {} });
+    });
+    const diff = diffClassDefinitions(before, after);
+    assert.deepEqual(diff.kitAdded, ["Rope"]);
+    assert.deepEqual(diff.kitRemoved, ["Furs"]);
+  });
+});
+
+describe("CustomClassBuilder definitions", () => {
+  it("opens and saves a class without an icon unchanged", () => {
+    const before = loaded();
+    const builder = new CustomClassBuilder(null);
+    builder.loadDefinition(before);
+    const after = builder.toDefinition();
+    assert.equal(after.icon, null);
+    assert.equal(diffClassDefinitions(before, after).hasChanges, false);
+  });
+
+  it("opens and saves a class with an icon unchanged", () => {
+    const before = loaded({ icon: "fa-skull" });
+    const builder = new CustomClassBuilder(null);
+    builder.loadDefinition(before);
+    assert.equal(builder.toDefinition().icon, "fa-skull");
+    assert.equal(diffClassDefinitions(before, builder.toDefinition()).hasChanges, false);
+  });
+});
@@ -0,0 +1,61 @@
+// DCC Custom Class Sheet — tests for the class health check repairs (scripts/health-check.js)
+import "./setup.mjs";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseLenientPrefix, repairIconClass } from "../scripts/health-check.js";
+
+describe("parseLenientPrefix", () => {
+  it("reads prefixes with spaces around \"^\", \"@\" and the level range", () => {
+    assert.deepEqual(parseLenientPrefix("(Barbarian ^ 10 @ 3 - 7) Bloodlust"), {
+      className: "Barbarian",
+      weight: 10,
+      minLevel: 3,
+      maxLevel: 7,
+      skillName: "Bloodlust"
+    });
+    assert.deepEqual(parseLenientPrefix("( Dwarf Priest )Smite"), {
+      className: "Dwarf Priest",
+      weight: 0,
+      minLevel: null,
+      maxLevel: null,
+      skillName: "Smite"
+    });
+  });
+
+  it("returns null when the prefix can't be read unambiguously", () => {
+    for (const name of [
+      "Rage",
+      "(Barbarian^10 Rage",
+      "(Barbarian^10)",
+      "(Barbarian^x)Rage",
+      "(Barbarian^10^2)Rage",
+      "(Barbarian@3@4)Rage"
+    ]) {
+      assert.equal(parseLenientPrefix(name), null, name);
+    }
+  });
+});
+
+describe("repairIconClass", () => {
+  it("drops solid style classes, which class icons leave out", () => {
+    assert.equal(repairIconClass("fas fa-skull"), "fa-skull");
+    assert.equal(repairIconClass("fa-solid fa-skull"), "fa-skull");
+  });
+
+  it("keeps a regular or brands style", () => {
+    assert.equal(repairIconClass("far fa-moon"), "fa-regular fa-moon");
+    assert.equal(repairIconClass("fab fa-github"), "fa-brands fa-github");
+    assert.equal(repairIconClass("fa-regular fa-moon"), "fa-regular fa-moon");
+  });
+
+  it("reads icons out of surrounding noise", () => {
+    assert.equal(repairIconClass("  FA-Skull "), "fa-skull");
+    assert.equal(repairIconClass("<i class=\"fas fa-hammer fa-fw\"></i>"), "fa-hammer");
+  });
+
+  it("returns null when there is no icon", () => {
+    assert.equal(repairIconClass("skull"), null);
+    assert.equal(repairIconClass("fas"), null);
+    assert.equal(repairIconClass(""), null);
+  });
+});
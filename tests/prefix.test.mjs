@@ -0,0 +1,75 @@
+// DCC Custom Class Sheet — tests for the class skill prefix (scripts/init.js, scripts/utils.js)
+import "./setup.mjs";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { REGEX_PREFIXED_SKILL } from "../scripts/init.js";
+import { getSkillLock, parsePrefixedSkillName } from "../scripts/utils.js";
+
+describe("REGEX_PREFIXED_SKILL", () => {
+  it("captures class, weight, level range and skill name", () => {
+    const cases = {
+      "(Barbarian)Rage": ["Barbarian", undefined, undefined, undefined, "Rage"],
+      "(Barbarian^10)Natural Armor": ["Barbarian", "10", undefined, undefined, "Natural Armor"],
+      "(Barbarian^10@3)Bloodlust": ["Barbarian", "10", "3", undefined, "Bloodlust"],
+      "(Barbarian@1-4)Untamed": ["Barbarian", undefined, "1", "4", "Untamed"]
+    };
+    for (const [name, groups] of Object.entries(cases)) {
+      assert.deepEqual(name.match(REGEX_PREFIXED_SKILL).slice(1), groups, name);
+    }
+  });
+
+  it("leaves a prefix with spaces after \"^\" or \"@\" in the class name, for the health check to report", () => {
+    const match = "(Barbarian ^ 10)Rage".match(REGEX_PREFIXED_SKILL);
+    assert.equal(match[1], "Barbarian ^ 10");
+    assert.equal(match[2], undefined);
+  });
+
+  it("allows spaces inside the parentheses and before the skill name", () => {
+    const match = "( Dwarf Priest ^2@3-7 )  Smite".match(REGEX_PREFIXED_SKILL);
+    assert.deepEqual(match.slice(1), ["Dwarf Priest", "2", "3", "7", "Smite"]);
+  });
+
+  it("does not match names without a leading prefix", () => {
+    for (const name of ["Rage", "Rage (Barbarian)", "(Barbarian Rage", ""]) {
+      assert.equal(name.match(REGEX_PREFIXED_SKILL), null, name);
+    }
+  });
+});
+
+describe("parsePrefixedSkillName", () => {
+  it("reads weights and levels as numbers", () => {
+    assert.deepEqual(parsePrefixedSkillName("(Barbarian^10@3)Bloodlust"), {
+      className: "Barbarian",
+      weight: 10,
+      minLevel: 3,
+      maxLevel: null,
+      skillName: "Bloodlust"
+    });
+    assert.deepEqual(parsePrefixedSkillName("(Barbarian)Rage"), {
+      className: "Barbarian",
+      weight: 0,
+      minLevel: null,
+      maxLevel: null,
+      skillName: "Rage"
+    });
+  });
+
+  it("returns null for unprefixed names", () => {
+    assert.equal(parsePrefixedSkillName("Rage"), null);
+  });
+});
+
+describe("getSkillLock", () => {
+  const untamed = parsePrefixedSkillName("(Barbarian@2-4)Untamed");
+
+  it("locks skills below their first or above their last level", () => {
+    assert.deepEqual(getSkillLock(untamed, 1), { reason: "min", level: 2 });
+    assert.deepEqual(getSkillLock(untamed, 5), { reason: "max", level: 4 });
+  });
+
+  it("leaves skills within their range and ungated skills available", () => {
+    assert.equal(getSkillLock(untamed, 2), null);
+    assert.equal(getSkillLock(untamed, 4), null);
+    assert.equal(getSkillLock(parsePrefixedSkillName("(Barbarian)Rage"), 1), null);
+  });
+});
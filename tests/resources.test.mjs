@@ -0,0 +1,79 @@
+// DCC Custom Class Sheet — tests for uses per day and class resource pools (scripts/resources.js)
+import "./setup.mjs";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { evaluateMax, isValidMax, normalizeResources, normalizeUses, resourceId } from "../scripts/resources.js";
+
+describe("normalizeResources", () => {
+  it("keeps named pools with a maximum", () => {
+    assert.deepEqual(normalizeResources([
+      { id: "fury", name: " Fury ", max: " @level + 2 " },
+      { name: "Luck Points", max: 3 },
+      { name: "", max: "3" },
+      { name: "Empty", max: "" },
+      null
+    ]), [
+      { id: "fury", name: "Fury", max: "@level + 2" },
+      { id: "luck-points", name: "Luck Points", max: "3" }
+    ]);
+  });
+
+  it("makes pool ids unique", () => {
+    assert.deepEqual(
+      normalizeResources([{ name: "Fury", max: "1" }, { name: "Fury", max: "2" }, { id: "fury", name: "Rage", max: "3" }]).map((p) => p.id),
+      ["fury", "fury-2", "fury-3"]
+    );
+  });
+
+  it("reads anything but a list as no pools", () => {
+    assert.deepEqual(normalizeResources(null), []);
+    assert.deepEqual(normalizeResources({ name: "Fury", max: "1" }), []);
+  });
+});
+
+describe("resourceId", () => {
+  it("slugifies the name and skips taken ids", () => {
+    assert.equal(resourceId("Fury!", []), "fury");
+    assert.equal(resourceId("Fury", ["fury", "fury-2"]), "fury-3");
+    assert.equal(resourceId("!!!", []), "pool");
+  });
+});
+
+describe("evaluateMax", () => {
+  it("evaluates whole numbers and arithmetic with @level", () => {
+    assert.equal(evaluateMax("3", 5), 3);
+    assert.equal(evaluateMax("@level + 2", 3), 5);
+    assert.equal(evaluateMax("1 + floor(@level / 2)", 5), 3);
+  });
+
+  it("rounds down and never goes below 0", () => {
+    assert.equal(evaluateMax("2.7", 1), 2);
+    assert.equal(evaluateMax("@level - 5", 2), 0);
+  });
+
+  it("returns null for empty or invalid formulas", () => {
+    assert.equal(evaluateMax("", 1), null);
+    assert.equal(evaluateMax(null, 1), null);
+    assert.equal(evaluateMax("@level +", 1), null);
+    assert.equal(evaluateMax("fury", 1), null);
+    assert.equal(evaluateMax("1d6", 1), null);
+  });
+
+  it("is what isValidMax checks", () => {
+    assert.equal(isValidMax("@level"), true);
+    assert.equal(isValidMax("lots"), false);
+  });
+});
+
+describe("normalizeUses", () => {
+  it("keeps a maximum, or a pool with a cost", () => {
+    assert.deepEqual(normalizeUses({ max: 3 }), { max: "3", pool: null, cost: 1 });
+    assert.deepEqual(normalizeUses({ max: "9", pool: "fury", cost: 2 }), { max: "", pool: "fury", cost: 2 });
+    assert.deepEqual(normalizeUses({ pool: "fury", cost: 0 }), { max: "", pool: "fury", cost: 1 });
+  });
+
+  it("reads skills without a maximum or pool as unlimited", () => {
+    assert.equal(normalizeUses(null), null);
+    assert.equal(normalizeUses({ max: "", pool: " " }), null);
+  });
+});
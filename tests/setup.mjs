@@ -0,0 +1,102 @@
+// DCC Custom Class Sheet — test setup
+// The module runs inside Foundry VTT; the tests only exercise its pure logic under Node's built-in
+// test runner (`node --test tests/`). This file stands in for the few Foundry globals that logic
+// and the modules' top level touch, and must be the first import of every test file.
+//
+// Dependencies: none
+
+/** Hooks registered at import time are ignored */
+globalThis.Hooks = {
+  on: () => 0,
+  once: () => 0,
+  off: () => {},
+  call: () => true,
+  callAll: () => true
+};
+
+/** Localized strings are their key, followed by the format data so tests can tell them apart */
+globalThis.game = {
+  i18n: {
+    localize: (key) => key,
+    format: (key, data = {}) => `${key} ${JSON.stringify(data)}`
+  },
+  settings: { settings: new Map(), get: () => undefined },
+  user: { isGM: true }
+};
+
+globalThis.ui = { notifications: { info: () => {}, warn: () => {}, error: () => {} } };
+
+globalThis.CONFIG = { Item: { typeLabels: {} }, sounds: {} };
+
+/**
+ * Deep equality of plain data, as foundry.utils.objectsEqual compares it.
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function objectsEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every((key) => objectsEqual(a[key], b[key]));
+}
+
+globalThis.foundry = {
+  utils: {
+    deepClone: (value) => structuredClone(value),
+    objectsEqual,
+    escapeHTML: (text) => String(text).replace(/[&<>"']/g, (ch) => `&#${ch.charCodeAt(0)};`),
+    mergeObject: (target, source) => Object.assign(target, source),
+    getProperty: (object, key) => key.split(".").reduce((value, part) => value?.[part], object),
+    debounce: (fn) => fn,
+    randomID: () => Math.random().toString(36).slice(2, 18)
+  },
+  applications: {
+    api: {
+      ApplicationV2: class {},
+      HandlebarsApplicationMixin: (Base) => class extends Base {},
+      DialogV2: class {}
+    },
+    ux: {},
+    handlebars: {}
+  }
+};
+
+/** Foundry's String#slugify */
+String.prototype.slugify = function ({ replacement = "-", strict = false } = {}) {
+  let slug = this.normalize("NFD").replace(/[\u0300-\u036f]/g, "").replace(/\s+/g, replacement).toLowerCase().trim();
+  if (strict) slug = slug.replace(new RegExp(`[^a-z0-9${replacement}]`, "g"), "");
+  return slug;
+};
+
+/** Foundry's Math.clamp */
+Math.clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/** The formula helpers of Foundry's Roll that the module uses */
+globalThis.Roll = class Roll {
+  static MATH_PROXY = new Proxy(Math, {
+    has: () => true,
+    get: (target, key) => (key === Symbol.unscopables ? undefined : target[key]),
+    set: () => false
+  });
+
+  static replaceFormulaData(formula, data, { missing } = {}) {
+    return formula.replace(/@([a-z.0-9_-]+)/gi, (match, key) => {
+      const value = foundry.utils.getProperty(data, key);
+      return value === undefined || value === null ? (missing ?? match) : String(value);
+    });
+  }
+
+  static safeEval(expression) {
+    let result;
+    try {
+      result = new Function("sandbox", `with (sandbox) { return ${expression}}`)(this.MATH_PROXY);
+    } catch (err) {
+      result = undefined;
+    }
+    if (typeof result !== "number" || Number.isNaN(result)) throw new Error(`Roll.safeEval produced a non-numeric result from expression "${expression}"`);
+    return result;
+  }
+};
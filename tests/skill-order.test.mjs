@@ -0,0 +1,117 @@
+// DCC Custom Class Sheet — tests for drag-and-drop skill order (scripts/skill-order.js)
+import "./setup.mjs";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { MODULE_ID } from "../scripts/init.js";
+import { computeReorderWeights, planSkillDrop } from "../scripts/skill-order.js";
+
+/**
+ * Entries with the weights applied, in the order the tab shows them.
+ * @param {Array<{ id: string, weight: number, name: string }>} entries
+ * @param {Map<string, number>} changes
+ * @returns {string[]} ids, high weight first, then alphabetical
+ */
+function displayOrder(entries, changes) {
+  return entries
+    .map((e) => ({ ...e, weight: changes.get(e.id) ?? e.weight }))
+    .sort((a, b) => b.weight - a.weight || a.name.localeCompare(b.name))
+    .map((e) => e.id);
+}
+
+/**
+ * A tab row of a skill.
+ * @param {string} id
+ * @param {number} weight
+ * @param {string} [displayName]
+ * @returns {object} see the groups of planSkillDrop
+ */
+function row(id, weight, displayName = id) {
+  return { item: { id }, weight, displayName, levels: { minLevel: null, maxLevel: null } };
+}
+
+describe("computeReorderWeights", () => {
+  it("re-weights only the moved entry when there is room", () => {
+    const entries = [{ id: "a", weight: 10, name: "A" }, { id: "m", weight: 0, name: "M" }, { id: "b", weight: 5, name: "B" }];
+    const changes = computeReorderWeights(entries, 1);
+    assert.deepEqual([...changes], [["m", 6]]);
+    assert.deepEqual(displayOrder(entries, changes), ["a", "m", "b"]);
+  });
+
+  it("changes nothing when the entry already sorts there", () => {
+    const entries = [{ id: "a", weight: 10, name: "A" }, { id: "m", weight: 7, name: "M" }, { id: "b", weight: 5, name: "B" }];
+    assert.equal(computeReorderWeights(entries, 1).size, 0);
+  });
+
+  it("drops to weight 0 at the bottom when that sorts last", () => {
+    const entries = [{ id: "a", weight: 3, name: "A" }, { id: "m", weight: 8, name: "M" }];
+    const changes = computeReorderWeights(entries, 1);
+    assert.deepEqual([...changes], [["m", 0]]);
+  });
+
+  it("raises the entries above when neighbours leave no room", () => {
+    const entries = [{ id: "z", weight: 5, name: "Zed" }, { id: "m", weight: 0, name: "Mid" }, { id: "a", weight: 5, name: "Able" }];
+    const changes = computeReorderWeights(entries, 1);
+    assert.deepEqual(displayOrder(entries, changes), ["z", "m", "a"]);
+    assert.equal(changes.has("a"), false);
+  });
+
+  it("uses the name to order entries of equal weight", () => {
+    const entries = [{ id: "a", weight: 5, name: "Able" }, { id: "m", weight: 9, name: "Mid" }, { id: "z", weight: 5, name: "Zed" }];
+    const changes = computeReorderWeights(entries, 1);
+    assert.deepEqual([...changes], [["m", 5]]);
+  });
+});
+
+describe("planSkillDrop", () => {
+  const groups = () => [
+    { className: "Barbarian", isClass: true, skills: [row("rage", 10, "Rage"), row("roar", 5, "Roar"), row("howl", 1, "Howl")] },
+    { className: "Ranger", isClass: true, skills: [row("track", 3, "Track")] },
+    { className: null, isClass: false, skills: [row("farm", 0, "Farming")] }
+  ];
+
+  it("re-weights a skill moved within its group", () => {
+    const g = groups();
+    const updates = planSkillDrop({ item: { id: "howl" }, groups: g, targetGroupIndex: 0, targetItemId: "roar", before: true, sortMode: "weight" });
+    assert.deepEqual(updates, [{
+      _id: "howl",
+      name: "Howl",
+      flags: { [MODULE_ID]: { className: "Barbarian", weight: 6, minLevel: null, maxLevel: null, naming: false } }
+    }]);
+  });
+
+  it("plans nothing for a drop on the skill's own place", () => {
+    const g = groups();
+    assert.deepEqual(planSkillDrop({ item: { id: "roar" }, groups: g, targetGroupIndex: 0, targetItemId: "roar", before: true, sortMode: "weight" }), []);
+    assert.deepEqual(planSkillDrop({ item: { id: "howl" }, groups: g, targetGroupIndex: 0, sortMode: "weight" }), []);
+  });
+
+  it("moves a skill to another class", () => {
+    const g = groups();
+    const [update] = planSkillDrop({ item: { id: "roar" }, groups: g, targetGroupIndex: 1, sortMode: "weight" });
+    assert.equal(update._id, "roar");
+    assert.equal(update.flags[MODULE_ID].className, "Ranger");
+    assert.ok(update.flags[MODULE_ID].weight < 3);
+  });
+
+  it("turns a skill dropped on the occupational group into an occupational skill", () => {
+    const g = groups();
+    const updates = planSkillDrop({ item: { id: "rage" }, groups: g, targetGroupIndex: 2, sortMode: "weight" });
+    assert.deepEqual(updates, [{ _id: "rage", name: "Rage", flags: { [MODULE_ID]: { className: null } } }]);
+  });
+
+  it("keeps weights in alphabetical order and only changes the class", () => {
+    const g = groups();
+    const updates = planSkillDrop({ item: { id: "track" }, groups: g, targetGroupIndex: 0, targetItemId: "rage", sortMode: "alpha" });
+    assert.deepEqual(updates, [{
+      _id: "track",
+      name: "Track",
+      flags: { [MODULE_ID]: { className: "Barbarian", weight: 3, minLevel: null, maxLevel: null, naming: false } }
+    }]);
+  });
+
+  it("plans nothing for unknown skills or groups", () => {
+    const g = groups();
+    assert.deepEqual(planSkillDrop({ item: { id: "missing" }, groups: g, targetGroupIndex: 0, sortMode: "weight" }), []);
+    assert.deepEqual(planSkillDrop({ item: { id: "rage" }, groups: g, targetGroupIndex: 5, sortMode: "weight" }), []);
+  });
+});